@@ -1,39 +1,215 @@
 // date-and-daytime-range-picker.js
-const templateURL = new URL('./date-and-daytime-range-picker.html', import.meta.url);
-
-// Load and parse the external template once, cache it
-let cachedTemplate = null;
-async function loadTemplate() {
-  if (cachedTemplate) return cachedTemplate;
-  const res = await fetch(templateURL.href);
-  if (!res.ok) throw new Error(`Failed to load template: ${res.status} ${res.statusText}`);
-  const html = await res.text();
-  const doc = new DOMParser().parseFromString(html, 'text/html');
-  const tpl = doc.getElementById('date-and-daytime-range-picker-template');
-  if (!tpl) throw new Error('Template with id="date-and-daytime-range-picker-template" not found in date-and-daytime-range-picker.html');
-  cachedTemplate = tpl;
-  return cachedTemplate;
+import {
+  ALL_WEEKDAYS, DAY_SECONDS, MIN_VIEW_DAYS, addTimeWindow, avoidDisabledDates, avoidDisabledTimes, buildDateTicks, buildTimeTicks, clamp,
+  clampDates, clampTimes, coerceDateOnly, compileDisabledDates, createState, dateBounds, dateHistogramBars, dateHistogramTotal,
+  dateWindowCenter, daysBetween, disabledDaysIn, disabledTimesIn, firstDayOfWeek, formatDateISO, formatDateLong, formatEpochISO,
+  formatHHMMSS, formatOffset, formatTimeOfDay, inTimeWindow, isDisabledDay, isValidTimeZone, mergeTimeWindows,
+  normalizeDisabledTimes, normalizeHistogram, offsetMinutes, panDateView, parseTimeOfDay, parseWeekdays, partsInZone,
+  readISOInterval, recenterDateAt, recenterTimeAt, resetDateView, resolveLocal, revealDays, searchTimeZones, secondsToHMS, setTimeWindows,
+  shiftDateWindow, shiftTimeWindow, snapToStep, timeHistogramBars, timeHistogramTotal, timeSpanSeconds, timeWindowCenter, timeWindows,
+  toggleTimeWindowAt, todayLocal, weekdayName, zoneCity, zoneParts, zoneRegion, zoomDateView
+} from './range-core.js';
+
+// Tick builders and label formatters, e.g. for server-side rendering (see renderShadowRootHTML)
+export { buildDateTicks, buildTimeTicks, formatDateLong, formatDateTickLabel, formatTimeOfDay, formatTimeTickLabel } from './range-core.js';
+
+// Load and parse an external template (opt-in via `template-url`) once per URL, cache it
+const externalTemplates = new Map();
+function loadTemplate(url) {
+  const href = String(url);
+  let pending = externalTemplates.get(href);
+  if (!pending) {
+    pending = (async () => {
+      const res = await fetch(href);
+      if (!res.ok) throw new Error(`Failed to load template: ${res.status} ${res.statusText}`);
+      const html = await res.text();
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const tpl = doc.getElementById('date-and-daytime-range-picker-template');
+      if (!tpl) throw new Error(`Template with id="date-and-daytime-range-picker-template" not found in ${href}`);
+      return tpl;
+    })();
+    pending.catch(() => externalTemplates.delete(href)); // a later instance may retry
+    externalTemplates.set(href, pending);
+  }
+  return pending;
+}
+
+// Built-in template and stylesheet (see TEMPLATE_MARKUP / TEMPLATE_STYLES), created on first use
+let builtInTemplate = null, builtInSheet;
+function getBuiltInTemplate() {
+  if (!builtInTemplate) {
+    builtInTemplate = document.createElement('template');
+    builtInTemplate.innerHTML = TEMPLATE_MARKUP;
+  }
+  return builtInTemplate;
+}
+function getBuiltInSheet() {
+  if (builtInSheet === undefined) {
+    builtInSheet = null; // no constructable stylesheets: a <style> element is used instead
+    try {
+      if ('adoptedStyleSheets' in ShadowRoot.prototype) {
+        builtInSheet = new CSSStyleSheet();
+        builtInSheet.replaceSync(TEMPLATE_STYLES);
+      }
+    } catch { builtInSheet = null; }
+  }
+  return builtInSheet;
 }
 
-class DateAndDaytimeRangePicker extends HTMLElement {
+// Zone without `default-tz`: the runtime's own, else UTC (the element and renderShadowRootHTML alike)
+function systemTimeZone() { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; }
+
+// iCalendar BYDAY codes, indexed by ISO weekday - 1
+const ICAL_WEEKDAYS = Object.freeze(['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']);
+
+// Declarative initial selection; those the author set are reflected back on every committed change
+const SELECTION_ATTRIBUTES = Object.freeze(['value', 'start-date', 'end-date', 'start-time', 'end-time']);
+// Seconds of day → "HH:MM", or "HH:MM:SS" when there are seconds (start-time / end-time)
+function formatTimeAttr(sec) { return formatHHMMSS(sec).replace(/:00$/, ''); }
+// Zones pinned under "Recent" in the time zone list
+const RECENT_ZONES = 5;
+// Committed selections kept for undo()
+const HISTORY_LIMIT = 100;
+
+// UI strings; override (partially) via `el.messages = { ... }`. `{name}` placeholders are interpolated.
+const DEFAULT_MESSAGES = Object.freeze({
+  timeZone: 'Time zone',
+  dateRange: 'Date range',
+  timeRange: 'Time range',
+  tzPlaceholder: 'e.g., Europe/Berlin',
+  offsetPreviewLabel: 'Offset preview',
+  offsetPreview: '{timeZone} offset: {offset}',
+  timeZoneList: 'Time zones',
+  tzFavorites: 'Favorites',
+  tzRecent: 'Recent',
+  tzOther: 'Other',
+  tzOffset: 'UTC{offset}',
+  tzNoMatch: 'No matching time zone',
+  displayZone: '{timeZone}: {times}',
+  dayShift: '{time} ({days})',
+  startDate: 'Start date',
+  endDate: 'End date',
+  startTime: 'Start time',
+  endTime: 'End time',
+  dateWindow: 'Date range window',
+  timeWindow: 'Time range window',
+  range: '{start} to {end}',
+  wrapsPastMidnight: '{time}, wraps past midnight',
+  announcement: '{dates}, {times}, {timeZone}',
+  valueMissing: 'Please fill in the date and time range.',
+  minSpanDays: 'Please select at least {n} days.',
+  maxSpanDays: 'Please select at most {n} days.',
+  minTimeSpan: 'Please select a time window of at least {n} minutes.',
+  maxTimeSpan: 'Please select a time window of at most {n} minutes.',
+  calendar: 'Calendar',
+  calendarToggle: 'Choose dates in calendar',
+  previousMonth: 'Previous month',
+  nextMonth: 'Next month',
+  presets: 'Presets',
+  weekdays: 'Weekdays',
+  weekdaysOnly: '{dates}, {days} only',
+  addWindow: 'Add time window',
+  removeWindow: 'Remove time window',
+  windowStart: 'Start time, window {n}',
+  windowEnd: 'End time, window {n}',
+  dstGap: 'Clocks skip {start}–{end} on {date}',
+  dstOverlap: '{start}–{end} occurs twice on {date}',
+  dstRejected: 'The selected time does not exist or is ambiguous on {date} in {timeZone}.',
+  histogramValue: '{span}: {value}'
+});
+
+// The base class falls back to a stub so the module (and renderShadowRootHTML) can be imported outside a browser
+class DateAndDaytimeRangePicker extends (globalThis.HTMLElement ?? class {}) {
   static get observedAttributes() {
-    return ['min-date', 'max-date', 'time-step', 'date-step-days', 'default-tz'];
+    return [
+      'min-date', 'max-date', 'time-step', 'time-precision', 'time-end-bound', 'date-step-days', 'default-tz', 'display-tz',
+      'name', 'required', 'form-format',
+      'min-span-days', 'max-span-days', 'min-time-span', 'max-time-span',
+      'locale', 'calendar', 'dst-disambiguation', 'mode',
+      'max-windows', 'weekdays', 'date-zoom', 'blackout-policy', ...SELECTION_ATTRIBUTES
+    ];
   }
 
+  static get formAssociated() { return true; }
+
+  // Global template override (URL of a user-supplied HTML file, see loadTemplate);
+  // the `template-url` attribute overrides it per element.
+  static templateURL = null;
+
   #ready = false; // set to true only after template is attached & elements cached
+  #setupStarted = false;
+  #readyResolve;
+  #readyPromise = new Promise((resolve) => { this.#readyResolve = resolve; });
 
   #root;
+  #internals;
   #els = {};
   #prevTZ = null;
 
+  // Time zone combobox
+  #tzOpen = false;
+  #tzActive = -1;       // index of the highlighted option
+  #tzPicked = false;    // an option was chosen: the input's own `change` that follows is not a second commit
+  #recentZones = [];    // chosen zones, most recent first
+
+  // Undo / redo: committed selections (see #selectionState), oldest first
+  #history = [];
+  #historyIndex = -1;
+  #travelling = false;  // restoring an entry: its `change` is not recorded again
+  #historyGroup = null; // keyboard control whose consecutive commits share the newest entry
+
+  // Persistence
+  #followingPersisted = false; // applying a popstate/storage value: the URL is not pushed again
+  #commitPendingClick = null; // time-track click still waiting out the double-click interval
+
+  // Form association
+  #disabled = false;        // effective disabled state (own attribute or ancestor fieldset)
+  #pendingRestore = null;   // form state handed to formStateRestoreCallback before ready
+  #renderedZone = null;     // zone of server-rendered markup: kept without `default-tz` instead of the browser's
+  #customValidity = '';     // message set via setCustomValidity()
+
+  // Selection attributes as set by the author (not by reflection): initial selection and reset target
+  #declared = {};
+  #declaredWindows = null; // `timeRanges` set before ready: windows have no attribute
+  #reflecting = false;
+
+  #messages = DEFAULT_MESSAGES;
+
+  // Calendar popup
+  #calOpen = false;
+  #calMonth = null;           // first day of the first displayed month
+  #calKey = '';               // grid is rebuilt only when this changes
+  #calAnchor = null;          // first click of a click-click selection (date index)
+  #calDrag = null;            // { anchor, moved } while dragging across days
+  #calSuppressClick = false;  // swallow the click that ends a drag
+
+  // Presets: set via property, otherwise read from light-DOM <option> children
+  #presets = null;
+
+  #dstCache = null; // { key, list } of DST transitions for the last rendered span
+  #shownDates = null; // dates at the last #renderDate: the previous state for blackouts and the date viewport
+  #shownTimes = null; // time windows at the last #renderTime, the previous state for blackouts
+  #disabledDates = null; // as set, for the getter
+  #dateHistogram = null;  // values per day (dateHistogram), null when unset
+  #timeHistogram = null;  // values per time-of-day bucket (timeHistogram), null when unset
+  #pinch = null;      // two-finger zoom on the date track: { viewStart, viewEnd, spread, ratio, active }
+
   #state = {
     // Dates (local date-only indexes)
     minDate: null, maxDate: null,
     dateMin: 0, dateMax: 0, dateStart: 0, dateEnd: 0, dateStepDays: 1,
-    // Time of day (minutes)
-    timeMin: 0, timeMax: 24*60 - 1, timeStart: 22*60, timeEnd: 6*60, timeStep: 15,
+    // Days the date track shows (date-zoom)
+    dateViewStart: 0, dateViewEnd: 0,
+    // Time of day (seconds; timeMax 24:00 with time-end-bound="exclusive")
+    timeMin: 0, timeMax: DAY_SECONDS - 60, timeStart: 22*3600, timeEnd: 6*3600, timeStep: 900,
+    // Windows after the first one ({ start, end } seconds; max-windows > 1)
+    extraWindows: [],
+    // ISO weekdays the daily window applies to
+    weekdays: [...ALL_WEEKDAYS],
     // TZ
-    timeZone: 'UTC'
+    timeZone: 'UTC',
+    // Blackouts: predicate compiled from `disabledDates`, daily { start, end } minute spans
+    disabledDates: null, disabledTimes: []
   };
 
   // Tick targets
@@ -42,20 +218,61 @@ class DateAndDaytimeRangePicker extends HTMLElement {
 
   constructor() {
     super();
-    this.attachShadow({ mode: 'open' });
-    this.#root = this.shadowRoot;
+    this.#internals = this.attachInternals();
+    // A declarative shadow root (server-rendered, see renderShadowRootHTML) is hydrated in place
+    this.#root = this.#internals.shadowRoot ?? this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback() {
+    this.#watchPersisted(true);
+    if (this.#setupStarted) return; // moved within the document: already set up
+    this.#setupStarted = true;
+
+    if (this.#root.getElementById('timeTrack')) { // server-rendered markup: wire it up, do not append again
+      const zone = this.#root.getElementById('tzInput')?.value;
+      if (zone && isValidTimeZone(zone)) this.#renderedZone = zone;
+      this.#setup();
+      return;
+    }
+    const url = this.getAttribute('template-url') ?? DateAndDaytimeRangePicker.templateURL;
+    if (url == null || url === '') {
+      // Built-in template: synchronous, so the element never renders empty
+      this.#attachBuiltInTemplate();
+      this.#setup();
+      return;
+    }
+    loadTemplate(new URL(url, document.baseURI))
+      .then(tpl => this.#root.appendChild(tpl.content.cloneNode(true)))
+      .catch((error) => {
+        // Fall back to the built-in template so the element stays usable
+        this.dispatchEvent(new CustomEvent('error', { detail: { error, templateURL: String(url) } }));
+        this.#attachBuiltInTemplate();
+      })
+      .then(() => this.#setup());
   }
 
-  async connectedCallback() {
-    const tpl = await loadTemplate();
-    this.#root.appendChild(tpl.content.cloneNode(true));
+  // Resolves with the element once its template is attached, wired and rendered.
+  get ready() { return this.#readyPromise; }
+
+  #attachBuiltInTemplate() {
+    const sheet = getBuiltInSheet();
+    if (sheet) this.#root.adoptedStyleSheets = [sheet];
+    else {
+      const style = document.createElement('style');
+      style.textContent = TEMPLATE_STYLES;
+      this.#root.appendChild(style);
+    }
+    this.#root.appendChild(getBuiltInTemplate().content.cloneNode(true));
+  }
 
+  #setup() {
     // Cache elements after template is attached
     this.#els = {
       // TZ
       tzInput: this.#root.getElementById('tzInput'),
-      tzDatalist: this.#root.getElementById('timezones'),
+      tzList: this.#root.getElementById('tzList'),
       tzOffsetPreview: this.#root.getElementById('tzOffsetPreview'),
+      displayTzPreview: this.#root.getElementById('displayTzPreview'),
       // Date
       dateStart: this.#root.getElementById('dateStart'),
       dateEnd: this.#root.getElementById('dateEnd'),
@@ -66,6 +283,9 @@ class DateAndDaytimeRangePicker extends HTMLElement {
       dateTrack: this.#root.getElementById('dateTrack'),
       dateTicks: this.#root.getElementById('dateTicks'),
       dateTickLabels: this.#root.getElementById('dateTickLabels'),
+      dateOverview: this.#root.getElementById('dateOverview'),
+      dateOverviewSelection: this.#root.getElementById('dateOverviewSelection'),
+      dateOverviewViewport: this.#root.getElementById('dateOverviewViewport'),
       // Time
       timeStart: this.#root.getElementById('timeStart'),
       timeEnd: this.#root.getElementById('timeEnd'),
@@ -74,25 +294,81 @@ class DateAndDaytimeRangePicker extends HTMLElement {
       timeThumbCenter: this.#root.getElementById('timeThumbCenter'),
       timeFillA: this.#root.getElementById('timeFillA'),
       timeFillB: this.#root.getElementById('timeFillB'),
+      timeInputs: this.#root.getElementById('timeInputs'),
+      timeWindowAdd: this.#root.getElementById('timeWindowAdd'),
+      timeWindowRemove: this.#root.getElementById('timeWindowRemove'),
+      timeWindowFills: this.#root.getElementById('timeWindowFills'),
+      timeWindowThumbs: this.#root.getElementById('timeWindowThumbs'),
       timeTrack: this.#root.getElementById('timeTrack'),
       timeTicks: this.#root.getElementById('timeTicks'),
       timeTickLabels: this.#root.getElementById('timeTickLabels'),
+      displayTzTickLabels: this.#root.getElementById('displayTzTickLabels'),
+      timeDstMarks: this.#root.getElementById('timeDstMarks'),
+      // Calendar popup
+      calendarToggle: this.#root.getElementById('calendarToggle'),
+      calendar: this.#root.getElementById('calendar'),
+      calendarPrev: this.#root.getElementById('calendarPrev'),
+      calendarNext: this.#root.getElementById('calendarNext'),
+      calendarMonths: this.#root.getElementById('calendarMonths'),
+      // Presets
+      presetsGroup: this.#root.getElementById('presetsGroup'),
+      presets: this.#root.getElementById('presets'),
+      presetSlot: this.#root.getElementById('presetSlot'),
+      // Weekday filter
+      weekdaysGroup: this.#root.getElementById('weekdaysGroup'),
+      weekdays: this.#root.getElementById('weekdays'),
+      dateWeekdayMarks: this.#root.getElementById('dateWeekdayMarks'),
+      // Blackouts
+      dateBlackouts: this.#root.getElementById('dateBlackouts'),
+      timeBlackouts: this.#root.getElementById('timeBlackouts'),
+      // Histograms
+      dateHistogram: this.#root.getElementById('dateHistogram'),
+      dateHistogramTip: this.#root.getElementById('dateHistogramTip'),
+      timeHistogram: this.#root.getElementById('timeHistogram'),
+      timeHistogramTip: this.#root.getElementById('timeHistogramTip'),
+      // Screen reader announcements
+      liveRegion: this.#root.getElementById('liveRegion'),
     };
 
     // Init state from attributes, build TZ list, wire events
     this.#initDefaults();
-    this.#populateTimeZones();
+    if (this.#pendingRestore != null) {
+      this.#restoreFormState(this.#pendingRestore);
+      this.#pendingRestore = null;
+    }
+    this.#resetTZInput();
     this.#wireEvents();
+    this.#wireCalendar();
+    this.#wirePresets();
+    this.#wireWeekdays();
+    this.#wireHistograms();
+    this.#wireDateZoom(); // before the track drag, so a new gesture clears the last pinch first
     this.#enableTrackDraggingAndRecenter();
+    this.#enableKeyboard();
 
     // Now the component is fully wired; mark ready and render
     this.#ready = true;
+    this.#renderMessages();
+    this.#renderPresets();
     this.#renderAll();
+    this.#renderDisabled();
+    this.#syncFormValue();
+    this.#history = [this.#selectionState()];
+    this.#historyIndex = 0;
+    this.#readyResolve(this);
+  }
 
+  disconnectedCallback() {
+    this.#closeCalendar(); // drops the document-level outside-click listener
+    this.#watchPersisted(false);
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
-    if (oldVal === newVal) return;
+    if (oldVal === newVal || this.#reflecting) return;
+    if (SELECTION_ATTRIBUTES.includes(name)) {
+      this.#declared[name] = newVal;
+      if (name !== 'start-date' && name !== 'end-date') this.#declaredWindows = null; // a declared time replaces them
+    }
 
     // If not ready yet, only update internal state and bail out.
     if (!this.#ready) {
@@ -100,11 +376,6 @@ class DateAndDaytimeRangePicker extends HTMLElement {
         case 'default-tz':
           if (newVal) this.#state.timeZone = newVal;
           break;
-        case 'time-step': {
-          const n = Math.max(1, parseInt(newVal ?? '15', 10) || 15);
-          this.#state.timeStep = n;
-          break;
-        }
         case 'date-step-days': {
           const n = Math.max(1, parseInt(newVal ?? '1', 10) || 1);
           this.#state.dateStepDays = n;
@@ -115,6 +386,11 @@ class DateAndDaytimeRangePicker extends HTMLElement {
           // Let #initDateBounds read attributes in connectedCallback;
           // we don't need to do anything special here.
           break;
+        // 'time-step', 'time-precision' and 'time-end-bound' are read by #initDefaults;
+        // form and span constraint attributes are read by #syncFormValue once ready;
+        // 'locale', 'display-tz', 'calendar', 'dst-disambiguation', 'mode', 'max-windows', 'date-zoom' and 'blackout-policy'
+        // are read on every render;
+        // 'weekdays' and the selection attributes are read by #initDefaults.
       }
       return;
     }
@@ -129,13 +405,14 @@ class DateAndDaytimeRangePicker extends HTMLElement {
         this.#emit('change');
         break;
 
-      case 'time-step': {
-        const n = Math.max(1, parseInt(newVal ?? '15', 10) || 15);
-        this.#state.timeStep = n;
+      case 'time-step':
+      case 'time-precision':
+      case 'time-end-bound':
+        this.#applyTimeModel();
+        this.#clampAndSyncTimes();
         this.#renderTime();
         this.#emit('change');
         break;
-      }
 
       case 'date-step-days': {
         const n = Math.max(1, parseInt(newVal ?? '1', 10) || 1);
@@ -147,136 +424,462 @@ class DateAndDaytimeRangePicker extends HTMLElement {
 
       case 'default-tz': {
         if (newVal) this.#state.timeZone = newVal;
-        this.#populateTimeZones(); // now safe; tz datalist exists
+        this.#resetTZInput(); // now safe; tz input exists
         this.#renderTZ();
         this.#emit('change');
         break;
       }
+
+      case 'name':
+      case 'required':
+      case 'form-format':
+      case 'min-span-days':
+      case 'max-span-days':
+      case 'min-time-span':
+      case 'max-time-span':
+        // Form value / validity only; the selection itself is unchanged.
+        this.#syncFormValue();
+        break;
+
+      case 'locale':
+        this.#renderAll();
+        this.#updateValidity();
+        break;
+
+      case 'calendar':
+        if (newVal == null) this.#closeCalendar(); else this.#renderCalendar();
+        break;
+
+      case 'date-zoom':
+        if (newVal == null) { this.#reduce(resetDateView); this.#renderDateView(); }
+        break;
+
+      case 'blackout-policy':
+        this.#renderAll();
+        this.#emit('change');
+        break;
+
+      case 'dst-disambiguation':
+        this.#emit('change');
+        break;
+
+      case 'display-tz':
+        this.#renderDisplayZone();
+        this.#emit('change'); // the detail carries the converted endpoints
+        break;
+
+      case 'mode':
+        this.#clampAndSyncTimes();
+        this.#renderAll();
+        this.#emit('change');
+        break;
+
+      case 'max-windows':
+        this.#clampAndSyncTimes(); // drops windows beyond the new maximum
+        this.#renderTime();
+        this.#emit('change');
+        break;
+
+      case 'weekdays':
+        this.#state.weekdays = parseWeekdays(newVal);
+        this.#renderWeekdays();
+        this.#renderDate();
+        this.#emit('change');
+        break;
+
+      case 'value':
+        if (newVal != null) this.#fromISOInterval(newVal);
+        break;
+
+      case 'start-date':
+      case 'end-date': {
+        const d = coerceDateOnly(newVal);
+        if (!d) break;
+        this.#state[name === 'start-date' ? 'dateStart' : 'dateEnd'] = this.#dateToIdx(d);
+        this.#clampAndSyncDates(); this.#renderDate(); this.#emit('change');
+        break;
+      }
+
+      case 'start-time':
+      case 'end-time': {
+        const m = parseTimeOfDay(newVal);
+        if (m == null) break;
+        this.#state[name === 'start-time' ? 'timeStart' : 'timeEnd'] = m;
+        this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('change');
+        break;
+      }
     }
   }
 
   /* ---------- Public API ---------- */
   get dateRange() { return { start: this.#idxToDate(this.#state.dateStart), end: this.#idxToDate(this.#state.dateEnd) }; }
   set dateRange(v) {
-    const start = this.#coerceDateOnly(v.start);
-    const end = this.#coerceDateOnly(v.end);
+    const start = coerceDateOnly(v.start);
+    const end = coerceDateOnly(v.end);
     if (!start || !end) return;
+    if (!this.#ready) { // applied by #initDefaults once the template is loaded
+      this.setAttribute('start-date', formatDateISO(start)); this.setAttribute('end-date', formatDateISO(end));
+      return;
+    }
     this.#state.dateStart = this.#dateToIdx(start);
     this.#state.dateEnd   = this.#dateToIdx(end);
     this.#clampAndSyncDates(); this.#renderDate(); this.#emit('change');
   }
 
+  // Minutes of day, fractional below a minute (time-precision="second"); an exclusive end may be 1440.
   get timeRange() {
     const { timeStart: s, timeEnd: e } = this.#state;
-    return { startMinutes: s, endMinutes: e, crossesMidnight: e < s };
+    return { startMinutes: s / 60, endMinutes: e / 60, crossesMidnight: e < s };
   }
   set timeRange(v) {
-    const s = this.#clamp(0, 1439, Math.round(v.startMinutes));
-    const e = this.#clamp(0, 1439, Math.round(v.endMinutes));
+    const s = this.#minutesToTime(v.startMinutes);
+    const e = this.#minutesToTime(v.endMinutes);
+    if (!this.#ready) {
+      this.setAttribute('start-time', formatTimeAttr(s)); this.setAttribute('end-time', formatTimeAttr(e));
+      return;
+    }
     this.#state.timeStart = s; this.#state.timeEnd = e;
     this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('change');
   }
 
+  // Every time window (max-windows > 1), sorted by start; the first one is `timeRange`.
+  get timeRanges() {
+    return this.#timeWindows().map(({ start, end }) => ({ startMinutes: start / 60, endMinutes: end / 60, crossesMidnight: end < start }));
+  }
+  set timeRanges(v) {
+    if (!Array.isArray(v)) return;
+    const list = v
+      .map(r => ({ start: this.#minutesToTime(r?.startMinutes), end: this.#minutesToTime(r?.endMinutes) }))
+      .filter(w => Number.isFinite(w.start) && Number.isFinite(w.end));
+    if (!list.length) return;
+    if (!this.#ready) { this.#declaredWindows = list; return; } // applied by #initDefaults
+    this.#setTimeWindows(list);
+    this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('change');
+  }
+
   get timeZone() { return this.#state.timeZone; }
   set timeZone(v) { if (v) { this.#state.timeZone = v; this.#renderTZ(); this.#emit('change'); } }
 
+  // One interval per selected day; each endpoint carries its own offset (DST-aware).
+  getOccurrences({ limit = Infinity } = {}) { return this.#occurrences(limit); }
+
+  // ISO 8601 interval of the first occurrence, "R<days>/…" when it repeats daily (see README).
+  toString() { return this.#toISOInterval(); }
+  get value() { return this.#toISOInterval(); }
+  set value(v) { if (this.#ready) this.#fromISOInterval(v); else this.setAttribute('value', v); }
+
+  // iCalendar DTSTART/DTEND (+ RRULE:FREQ=DAILY) lines; fromRRule() returns false for unsupported input.
+  toRRule() { return this.#toRRule(); }
+  fromRRule(text) { return this.#fromRRule(text); }
+
+  get locale() { return this.#locale(); }
+  set locale(v) { if (v) this.setAttribute('locale', v); else this.removeAttribute('locale'); }
+
+  get messages() { return { ...this.#messages }; }
+  set messages(v) {
+    this.#messages = Object.freeze({ ...DEFAULT_MESSAGES, ...(v || {}) });
+    if (!this.#ready) return;
+    this.#renderMessages();
+    this.#renderAll();
+    this.#updateValidity();
+  }
+
+  // Preset: { id?, label, dates?, time?, timeZone? } — see README "Presets" for the expressions
+  get presets() { return this.#presetList().map(p => ({ ...p })); }
+  set presets(v) {
+    this.#presets = Array.isArray(v) ? v.map(p => this.#normalizePreset(p)).filter(Boolean) : null;
+    if (this.#ready) this.#renderPresets(); // buttons and pressed state only: the selection did not move
+  }
+  // ISO weekdays (1 = Monday … 7 = Sunday) the daily window applies to. Setting reflects to `weekdays`.
+  get weekdays() { return [...this.#state.weekdays]; }
+  set weekdays(v) {
+    const value = Array.isArray(v) ? v.join(',') : v;
+    if (value == null) this.removeAttribute('weekdays'); else this.setAttribute('weekdays', String(value));
+  }
+
+  // Blackouts: dates ('YYYY-MM-DD' or Date), ranges ({ start, end } or 'YYYY-MM-DD/YYYY-MM-DD', inclusive)
+  // or a predicate (date) => boolean; and daily [{ startMinutes, endMinutes }] spans. See `blackout-policy`.
+  get disabledDates() { return Array.isArray(this.#disabledDates) ? [...this.#disabledDates] : this.#disabledDates; }
+  set disabledDates(v) {
+    this.#disabledDates = typeof v === 'function' ? v : Array.isArray(v) ? [...v] : null;
+    this.#state.disabledDates = compileDisabledDates(this.#disabledDates);
+    if (this.#ready) { this.#renderDate(); this.#emit('change'); }
+  }
+  get disabledTimes() { return this.#state.disabledTimes.map(w => ({ startMinutes: w.start / 60, endMinutes: w.end / 60 })); }
+  set disabledTimes(v) {
+    this.#state.disabledTimes = normalizeDisabledTimes(v);
+    if (this.#ready) { this.#renderTime(); this.#emit('change'); }
+  }
+
+  // Values drawn as bars behind the tracks: one per day from min-date, and n per day (each 86400 / n seconds,
+  // e.g. 24 hourly buckets). The event detail carries their totals inside the selection. Setting does not emit.
+  get dateHistogram() { return this.#dateHistogram && [...this.#dateHistogram]; }
+  set dateHistogram(v) {
+    const values = normalizeHistogram(v);
+    this.#dateHistogram = values?.length ? values : null;
+    if (this.#ready) this.#renderDateView();
+  }
+  get timeHistogram() { return this.#timeHistogram && [...this.#timeHistogram]; }
+  set timeHistogram(v) {
+    const values = normalizeHistogram(v);
+    this.#timeHistogram = values?.length ? values : null;
+    if (this.#ready) this.#renderTime();
+  }
+
+  get activePreset() { return this.#activePreset()?.id ?? null; }
+  applyPreset(id) {
+    const p = this.#presetList().find(p => p.id === id);
+    if (p) this.#applyPreset(p);
+  }
+
+  // History of committed selections (one entry per `change`); both return whether they moved
+  get canUndo() { return this.#historyIndex > 0; }
+  get canRedo() { return this.#historyIndex < this.#history.length - 1; }
+  undo() { return this.#travel(-1); }
+  redo() { return this.#travel(1); }
+
+  /* ---------- Form-associated element API ---------- */
+  get form() { return this.#internals.form; }
+  get labels() { return this.#internals.labels; }
+  get type() { return this.localName; }
+  get willValidate() { return this.#internals.willValidate; }
+
+  get name() { return this.getAttribute('name') ?? ''; }
+  set name(v) { this.setAttribute('name', v); }
+  get disabled() { return this.hasAttribute('disabled'); }
+  set disabled(v) { this.toggleAttribute('disabled', !!v); }
+  get required() { return this.hasAttribute('required'); }
+  set required(v) { this.toggleAttribute('required', !!v); }
+
+  get validity() { return this.#internals.validity; }
+  get validationMessage() { return this.#internals.validationMessage; }
+  checkValidity() { return this.#internals.checkValidity(); }
+  reportValidity() { return this.#internals.reportValidity(); }
+  setCustomValidity(message) {
+    this.#customValidity = String(message ?? '');
+    this.#updateValidity();
+  }
+
+  formDisabledCallback(disabled) {
+    // Fired for our own `disabled` attribute as well as for a disabled ancestor <fieldset>.
+    this.#disabled = disabled;
+    if (this.#ready) this.#renderDisabled();
+  }
+
+  formResetCallback() {
+    if (!this.#ready) return;
+    this.#initDefaults();
+    this.#renderAll();
+    this.#emit('change');
+  }
+
+  formStateRestoreCallback(state) {
+    // Restoration (history navigation, autofill) usually happens before the template has loaded.
+    if (!this.#ready) { this.#pendingRestore = state; return; }
+    this.#restoreFormState(state);
+    this.#renderAll();
+    this.#emit('change');
+  }
+
   /* ---------- Init ---------- */
   #initDefaults() {
-    const attrTZ = this.getAttribute('default-tz');
-    const sysTZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
-    this.#state.timeZone = attrTZ || sysTZ || 'UTC';
+    this.#state.timeZone = this.getAttribute('default-tz') || this.#renderedZone || systemTimeZone();
 
     this.#initDateBounds();
 
-    // Default: full date span
+    // Default: full date span, overnight time window
     this.#state.dateStart = this.#state.dateMin;
     this.#state.dateEnd   = this.#state.dateMax;
+    this.#state.timeStart = 22*3600;
+    this.#state.timeEnd   = 6*3600;
+    this.#state.extraWindows = [];
+    this.#state.weekdays = parseWeekdays(this.getAttribute('weekdays'));
 
-    const ts = parseInt(this.getAttribute('time-step') ?? '15', 10);
-    if (!Number.isNaN(ts)) this.#state.timeStep = Math.max(1, ts);
+    this.#applyTimeModel();
     const ds = parseInt(this.getAttribute('date-step-days') ?? '1', 10);
     if (!Number.isNaN(ds)) this.#state.dateStepDays = Math.max(1, ds);
+
+    this.#applyDeclaredSelection();
+    // The user's last selection (persist) wins over the page's; form reset returns to the page's
+    if (!this.#ready) this.#restorePersisted(this.#readPersisted());
+  }
+
+  // `value` (ISO 8601 interval) wins over start-date/end-date/start-time/end-time; windows set
+  // through `timeRanges` before ready replace the declared times.
+  #applyDeclaredSelection() {
+    const S = this.#state, D = this.#declared;
+    const spec = D.value != null ? this.#readISOInterval(D.value) : null;
+    if (spec) {
+      this.#applySerialized(spec);
+    } else {
+      const start = coerceDateOnly(D['start-date']), end = coerceDateOnly(D['end-date']);
+      if (start) S.dateStart = this.#dateToIdx(start);
+      if (end) S.dateEnd = this.#dateToIdx(end);
+      const ts = parseTimeOfDay(D['start-time']), te = parseTimeOfDay(D['end-time']);
+      if (ts != null) S.timeStart = ts;
+      if (te != null) S.timeEnd = te;
+      this.#clampAndSyncDates(); this.#clampAndSyncTimes();
+    }
+    if (this.#declaredWindows) { this.#setTimeWindows(this.#declaredWindows); this.#clampAndSyncTimes(); }
   }
 
+  // Times are seconds of day. `time-step` counts the `time-precision` unit (minutes by default, 15;
+  // seconds: 1); an inclusive end stops the track at 23:59 / 23:59:59, an exclusive one at 24:00.
+  #timeUnit() { return this.getAttribute('time-precision') === 'second' ? 1 : 60; }
+  #applyTimeModel() {
+    const unit = this.#timeUnit();
+    const n = parseInt(this.getAttribute('time-step') ?? '', 10);
+    this.#state.timeStep = Math.max(1, Number.isNaN(n) ? (unit === 1 ? 1 : 15) : n) * unit;
+    this.#state.timeMax = this.getAttribute('time-end-bound') === 'exclusive' ? DAY_SECONDS : DAY_SECONDS - unit;
+  }
+  // Public minutes (see timeRange) → seconds of day, rounded to the second; #clampAndSyncTimes snaps them
+  #minutesToTime(m) { return clamp(0, DAY_SECONDS, Math.round(m * 60)); }
+
   #initDateBounds() {
-    const attrMin = this.getAttribute('min-date');
-    const attrMax = this.getAttribute('max-date');
-    let minD = this.#coerceDateOnly(attrMin);
-    let maxD = this.#coerceDateOnly(attrMax);
+    Object.assign(this.#state, dateBounds(this.getAttribute('min-date'), this.getAttribute('max-date')));
+  }
 
-    if (!minD || !maxD || minD > maxD) {
-      const today = this.#todayLocal();
-      maxD = today; minD = new Date(today); minD.setDate(today.getDate() - 30);
-    }
+  /* ---------- Time zone combobox ---------- */
+  // A listbox over searchTimeZones() (city, abbreviation or UTC offset): zones in `favorite-tz` and the
+  // recently chosen ones pinned on top, the rest grouped by region, each with its offset at the
+  // selection's start. Rendered only while open.
+  #resetTZInput() {
+    this.#els.tzInput.value = this.#state.timeZone;
+    this.#els.tzInput.classList.remove('invalid');
+    this.#renderTZ();
+    this.#renderTZList();
+  }
 
-    this.#state.minDate = minD;
-    this.#state.maxDate = maxD;
-    this.#state.dateMin = 0;
-    this.#state.dateMax = this.#daysBetween(minD, maxD);
+  #favoriteZones() {
+    return (this.getAttribute('favorite-tz') ?? '').split(/[\s,]+/).filter(tz => tz && isValidTimeZone(tz));
+  }
+  #rememberZone(tz) {
+    this.#recentZones = [tz, ...this.#recentZones.filter(z => z !== tz)].slice(0, RECENT_ZONES);
   }
 
-  /* ---------- Time zone datalist ---------- */
-  #populateTimeZones() {
-    const dl = this.#els.tzDatalist;
-    dl.innerHTML = '';
-    const current = this.#state.timeZone;
+  #openTZList() {
+    if (this.#tzOpen) return;
+    this.#tzOpen = true;
+    this.#els.tzList.hidden = false;
+    this.#els.tzInput.setAttribute('aria-expanded', 'true');
+    this.#renderTZList();
+  }
+  #closeTZList() {
+    if (!this.#tzOpen) return;
+    this.#tzOpen = false;
+    this.#els.tzList.hidden = true;
+    this.#els.tzInput.setAttribute('aria-expanded', 'false');
+    this.#setTZActive(-1);
+  }
 
-    let zones = [];
-    if (typeof Intl.supportedValuesOf === 'function') {
-      try { zones = Intl.supportedValuesOf('timeZone'); } catch {}
-    }
-    if (!zones || zones.length === 0) {
-      zones = [
-        'Europe/Berlin','Europe/London','Europe/Paris','Europe/Madrid','Europe/Rome','Europe/Warsaw',
-        'America/New_York','America/Chicago','America/Denver','America/Los_Angeles','America/Sao_Paulo',
-        'Asia/Tokyo','Asia/Shanghai','Asia/Hong_Kong','Asia/Singapore','Asia/Kolkata',
-        'Australia/Sydney'
-      ];
+  #renderTZList() {
+    if (!this.#tzOpen) return;
+    const E = this.#els;
+    const query = E.tzInput.value.trim();
+    const epoch = this.#rangeEndpoints()[0].epoch ?? Date.now();
+    const hits = searchTimeZones(query, { epoch });
+    const found = new Set(hits);
+    const favorites = this.#favoriteZones().filter(tz => found.has(tz));
+    const recent = this.#recentZones.filter(tz => found.has(tz) && !favorites.includes(tz));
+    const pinned = new Set([...favorites, ...recent]);
+    const regions = new Map();
+    for (const tz of hits) {
+      if (pinned.has(tz)) continue;
+      const region = zoneRegion(tz) || this.#msg('tzOther');
+      if (!regions.has(region)) regions.set(region, []);
+      regions.get(region).push(tz);
     }
-    if (!zones.includes('UTC')) zones = ['UTC', ...zones];
+    const groups = [[this.#msg('tzFavorites'), favorites], [this.#msg('tzRecent'), recent], ...regions].filter(([, zones]) => zones.length);
 
-    for (const z of zones) {
-      const opt = document.createElement('option');
-      opt.value = z;
-      dl.appendChild(opt);
-    }
+    const span = (className, text) => {
+      const el = document.createElement('span');
+      el.className = className;
+      el.textContent = text;
+      return el;
+    };
+    E.tzList.innerHTML = '';
+    let index = 0;
+    groups.forEach(([label, zones], g) => {
+      const group = document.createElement('div');
+      group.className = 'tz-group';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-labelledby', `tzGroup${g}`);
+      const heading = document.createElement('div');
+      heading.className = 'tz-group-label';
+      heading.id = `tzGroup${g}`;
+      heading.textContent = label;
+      group.appendChild(heading);
+      for (const tz of zones) {
+        const opt = document.createElement('div');
+        opt.className = 'tz-option';
+        opt.id = `tzOption${index}`;
+        opt.dataset.index = String(index++);
+        opt.dataset.tz = tz;
+        opt.setAttribute('role', 'option');
+        opt.setAttribute('aria-selected', String(tz === this.#state.timeZone));
+        opt.append(span('tz-city', zoneCity(tz)), span('tz-id', tz),
+          span('tz-offset', this.#msg('tzOffset', { offset: formatOffset(offsetMinutes(tz, epoch)) })));
+        group.appendChild(opt);
+      }
+      E.tzList.appendChild(group);
+    });
+    if (!groups.length) E.tzList.appendChild(span('tz-empty', this.#msg('tzNoMatch')));
+    this.#setTZActive(query && index ? 0 : -1); // Enter picks the best match
+  }
 
-    this.#els.tzInput.value = current;
-    this.#els.tzInput.classList.remove('invalid');
-    this.#renderTZ();
+  #setTZActive(i) {
+    const E = this.#els;
+    const options = E.tzList.querySelectorAll('.tz-option');
+    this.#tzActive = i < 0 ? -1 : Math.min(i, options.length - 1);
+    options.forEach((opt, k) => opt.classList.toggle('active', k === this.#tzActive));
+    const active = options[this.#tzActive];
+    if (active) {
+      E.tzInput.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    } else E.tzInput.removeAttribute('aria-activedescendant');
   }
 
-  #isValidTimeZone(tz) {
-    try { new Intl.DateTimeFormat('en-US', { timeZone: tz }).format(); return true; }
-    catch { return false; }
+  #pickZone(tz) {
+    this.#tzPicked = true;
+    this.#closeTZList();
+    this.#commitZone(tz, 'change');
+  }
+
+  #commitZone(tz, kind /* 'input' | 'change' */) {
+    if (kind === 'change') {
+      if (this.#prevTZ) this.#rememberZone(this.#prevTZ);
+      this.#rememberZone(tz);
+    }
+    this.#state.timeZone = tz;
+    this.#els.tzInput.classList.remove('invalid');
+    this.#renderTZ();
+    this.#emit(kind);
   }
 
   /* ---------- Events ---------- */
   #wireEvents() {
     const E = this.#els;
 
-    // Time zone input (datalist) with select-like UX
-    const commitTZ = (tz, kind /* 'input' | 'change' */) => {
-      this.#state.timeZone = tz;
-      E.tzInput.classList.remove('invalid');
-      this.#renderTZ();
-      this.#emit(kind);
-    };
-    const isValidTZ = (val) => this.#isValidTimeZone(val);
+    // Time zone combobox with select-like UX
+    const isValidTZ = (val) => isValidTimeZone(val);
 
     const onTZInput = () => {
+      this.#tzPicked = false;
       const val = (E.tzInput.value || '').trim();
-      if (!val) { E.tzInput.classList.remove('invalid'); return; }
-      if (isValidTZ(val)) commitTZ(val, 'input'); else E.tzInput.classList.add('invalid');
+      if (val && isValidTZ(val)) this.#commitZone(val, 'input');
+      if (this.#tzOpen) this.#renderTZList(); else this.#openTZList();
+      // Only flagged when nothing matches: "Berlin" or "+05:30" are searches, not typos
+      E.tzInput.classList.toggle('invalid', !!val && !isValidTZ(val) && this.#tzActive < 0);
     };
     const onTZChange = () => {
+      if (this.#tzPicked) { this.#tzPicked = false; return; } // committed by #pickZone
       const val = (E.tzInput.value || '').trim();
       if (!val) {
         const restore = this.#prevTZ ?? this.#state.timeZone;
         E.tzInput.value = restore; E.tzInput.classList.remove('invalid');
         this.#renderTZ(); this.#emit('change'); return;
       }
-      if (isValidTZ(val)) commitTZ(val, 'change');
+      if (isValidTZ(val)) this.#commitZone(val, 'change');
       else {
         const restore = this.#prevTZ ?? this.#state.timeZone;
         E.tzInput.value = restore; E.tzInput.classList.remove('invalid');
@@ -286,18 +889,29 @@ class DateAndDaytimeRangePicker extends HTMLElement {
 
     E.tzInput.addEventListener('focus', () => {
       this.#prevTZ = this.#state.timeZone;
+      this.#tzPicked = false;
       E.tzInput.placeholder = this.#prevTZ || '';
       E.tzInput.value = '';
       E.tzInput.classList.remove('invalid');
+      this.#openTZList();
     });
     E.tzInput.addEventListener('keydown', (ev) => {
       if (ev.key === 'Escape' || ev.key === 'Esc') {
         E.tzInput.value = '';
         E.tzInput.classList.remove('invalid');
+        this.#closeTZList();
         ev.preventDefault(); ev.stopPropagation();
+      } else if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+        ev.preventDefault();
+        if (!this.#tzOpen) this.#openTZList();
+        else this.#setTZActive(Math.max(0, this.#tzActive + (ev.key === 'ArrowDown' ? 1 : -1)));
+      } else if (ev.key === 'Enter' && this.#tzOpen && this.#tzActive >= 0) {
+        ev.preventDefault();
+        this.#pickZone(E.tzList.querySelectorAll('.tz-option')[this.#tzActive].dataset.tz);
       }
     });
     E.tzInput.addEventListener('blur', () => {
+      this.#closeTZList();
       if ((E.tzInput.value || '').trim() === '') {
         const restore = this.#prevTZ ?? this.#state.timeZone;
         E.tzInput.value = restore;
@@ -310,20 +924,30 @@ class DateAndDaytimeRangePicker extends HTMLElement {
     E.tzInput.addEventListener('input', onTZInput);
     E.tzInput.addEventListener('change', onTZChange);
 
+    E.tzList.addEventListener('mousedown', (ev) => ev.preventDefault()); // keep the focus in the input
+    E.tzList.addEventListener('click', (ev) => {
+      const tz = ev.target.closest?.('.tz-option')?.dataset.tz;
+      if (tz) this.#pickZone(tz);
+    });
+    E.tzList.addEventListener('pointermove', (ev) => {
+      const opt = ev.target.closest?.('.tz-option');
+      if (opt && +opt.dataset.index !== this.#tzActive) this.#setTZActive(+opt.dataset.index);
+    });
+
     // Date inputs <-> slider
     E.dateStart.addEventListener('input', () => {
-      const d = this.#coerceDateOnly(E.dateStart.value); if (!d) return;
+      const d = coerceDateOnly(E.dateStart.value); if (!d) { this.#syncFormValue(); return; }
       this.#state.dateStart = this.#dateToIdx(d);
       this.#clampAndSyncDates(); this.#renderDate(); this.#emit('input');
     });
     E.dateEnd.addEventListener('input', () => {
-      const d = this.#coerceDateOnly(E.dateEnd.value); if (!d) return;
+      const d = coerceDateOnly(E.dateEnd.value); if (!d) { this.#syncFormValue(); return; }
       this.#state.dateEnd = this.#dateToIdx(d);
       this.#clampAndSyncDates(); this.#renderDate(); this.#emit('input');
     });
-    const onDateThumb = () => {
-      this.#state.dateStart = Math.round(+E.dateThumbStart.value);
-      this.#state.dateEnd   = Math.round(+E.dateThumbEnd.value);
+    // Only the moved thumb is read: the other one may sit outside the zoomed-in track, clamped
+    const onDateThumb = (ev) => {
+      this.#state[ev.target === E.dateThumbStart ? 'dateStart' : 'dateEnd'] = Math.round(+ev.target.value);
       this.#clampAndSyncDates(); this.#renderDate(); this.#emit('input');
     };
     E.dateThumbStart.addEventListener('input', onDateThumb);
@@ -334,45 +958,19 @@ class DateAndDaytimeRangePicker extends HTMLElement {
     // --- Center thumb: DATE ---
     // Dragging the center shifts both start and end while preserving width.
     E.dateThumbCenter.addEventListener('input', () => {
-      const S = this.#state;
-      // current center (midpoint)
-      const prevCenter = (S.dateStart + S.dateEnd) / 2;
-
-      const newCenter = Math.round(+this.#els.dateThumbCenter.value);
-      let shift = newCenter - prevCenter;
-
-      // snap shift to day step
-      shift = Math.round(shift / S.dateStepDays) * S.dateStepDays;
-
-      // clamp shift so selection stays within bounds
-      const minShift = S.dateMin - S.dateStart;
-      const maxShift = S.dateMax - S.dateEnd;
-      const minShiftStep = Math.ceil(minShift / S.dateStepDays) * S.dateStepDays;
-      const maxShiftStep = Math.floor(maxShift / S.dateStepDays) * S.dateStepDays;
-      shift = Math.max(minShiftStep, Math.min(maxShiftStep, shift));
-
-      S.dateStart += shift;
-      S.dateEnd   += shift;
-
-      // Re-render and emit live update
+      this.#shiftDateWindow(Math.round(+this.#els.dateThumbCenter.value) - dateWindowCenter(this.#state));
       this.#renderDate();
       this.#emit('input');
     });
     E.dateThumbCenter.addEventListener('change', () => this.#emit('change'));
 
     // Time inputs <-> slider
-    const parseTime = (val) => {
-      if (!val || !/^\d{2}:\d{2}(:\d{2})?$/.test(val)) return null;
-      const [H, M] = val.split(':').map(Number);
-      if (H > 23 || M > 59) return null;
-      return H * 60 + M;
-    };
     E.timeStart.addEventListener('input', () => {
-      const m = parseTime(E.timeStart.value); if (m == null) return;
+      const m = parseTimeOfDay(E.timeStart.value); if (m == null) { this.#syncFormValue(); return; }
       this.#state.timeStart = m; this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('input');
     });
     E.timeEnd.addEventListener('input', () => {
-      const m = parseTime(E.timeEnd.value); if (m == null) return;
+      const m = parseTimeOfDay(E.timeEnd.value); if (m == null) { this.#syncFormValue(); return; }
       this.#state.timeEnd = m; this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('input');
     });
     const onTimeThumb = () => {
@@ -388,85 +986,491 @@ class DateAndDaytimeRangePicker extends HTMLElement {
     // --- Center thumb: TIME ---
     // Circular center drag with wrap and step snap.
     E.timeThumbCenter.addEventListener('input', () => {
-      const S = this.#state;
-      const mod = 1440;
-
-      // current center on a circle
-      const width = (S.timeEnd >= S.timeStart) ? (S.timeEnd - S.timeStart)
-                                              : (mod - S.timeStart + S.timeEnd);
-      let prevCenter = (S.timeStart + width / 2) % mod;
-
+      const mod = DAY_SECONDS;
+      const prevCenter = timeWindowCenter(this.#state);
       const newCenter = Math.round(+this.#els.timeThumbCenter.value) % mod;
 
       // compute shortest signed delta on circle
       let shift = newCenter - prevCenter;
-      if (shift >  720) shift -= mod;
-      if (shift < -720) shift += mod;
-
-      // snap to time step
-      shift = Math.round(shift / S.timeStep) * S.timeStep;
-
-      const wrap = (v) => ((v % mod) + mod) % mod;
+      if (shift >  mod / 2) shift -= mod;
+      if (shift < -mod / 2) shift += mod;
 
-      S.timeStart = wrap(S.timeStart + shift);
-      S.timeEnd   = wrap(S.timeEnd   + shift);
+      // snap to time step, wrap (continuous mode: carry into the dates)
+      const datesChanged = this.#shiftTimeWindow(shift);
 
       // Re-render and emit live update
-      this.#renderTime();
+      if (datesChanged) this.#renderDate(); else this.#renderTime();
       this.#emit('input');
     });
     E.timeThumbCenter.addEventListener('change', () => this.#emit('change'));
+
+    // --- Additional time windows (max-windows > 1) ---
+    // Handle pairs are rendered per window; events are delegated from their container.
+    E.timeWindowThumbs.addEventListener('input', (ev) => {
+      const i = +ev.target.dataset.window;
+      const [a, b] = E.timeWindowThumbs.querySelectorAll(`[data-window="${i}"]`);
+      this.#state.extraWindows[i] = { start: Math.round(+a.value), end: Math.round(+b.value) };
+      this.#clampAndSyncTimes(); this.#renderTime(); this.#emit('input');
+    });
+    E.timeWindowThumbs.addEventListener('change', () => this.#emit('change'));
+    E.timeWindowAdd.addEventListener('click', () => {
+      this.#addTimeWindow(); this.#renderTime(); this.#emit('change');
+    });
+    E.timeWindowRemove.addEventListener('click', () => {
+      this.#state.extraWindows.pop(); this.#renderTime(); this.#emit('change');
+    });
+  }
+
+  /* ---------- Calendar popup ---------- */
+  // Opt-in via the `calendar` attribute ("2" shows two months). Click-click or drag across
+  // days selects a range; the selection lives in #state like the slider's.
+  #wireCalendar() {
+    const E = this.#els;
+    E.calendarToggle.addEventListener('click', () => {
+      if (this.#calOpen) this.#closeCalendar(); else this.#openCalendar();
+    });
+    E.calendarPrev.addEventListener('click', () => this.#shiftCalendarMonth(-1));
+    E.calendarNext.addEventListener('click', () => this.#shiftCalendarMonth(1));
+    E.calendar.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape' || ev.key === 'Esc') {
+        ev.preventDefault(); ev.stopPropagation();
+        this.#closeCalendar();
+        E.calendarToggle.focus();
+      }
+    });
+
+    const dayIdx = (el) => {
+      const b = el?.closest?.('button.day');
+      return b && !b.disabled ? +b.dataset.idx : null;
+    };
+
+    E.calendarMonths.addEventListener('click', (ev) => {
+      if (this.#calSuppressClick) { this.#calSuppressClick = false; return; }
+      const idx = dayIdx(ev.target); if (idx == null) return;
+      if (this.#calAnchor == null) {
+        this.#calAnchor = idx;
+        this.#selectCalendarRange(idx, idx, 'input');
+      } else {
+        const anchor = this.#calAnchor;
+        this.#calAnchor = null;
+        this.#selectCalendarRange(anchor, idx, 'change');
+      }
+    });
+
+    E.calendarMonths.addEventListener('pointerdown', (ev) => {
+      this.#calSuppressClick = false;
+      if (ev.button !== 0) return;
+      const idx = dayIdx(ev.target); if (idx == null) return;
+      this.#calDrag = { anchor: idx, moved: false };
+    });
+    E.calendarMonths.addEventListener('pointermove', (ev) => {
+      const drag = this.#calDrag; if (!drag) return;
+      // Touch pointers are implicitly captured; hit-test to find the day under the finger.
+      const idx = dayIdx(this.#root.elementFromPoint(ev.clientX, ev.clientY));
+      if (idx == null || (idx === drag.anchor && !drag.moved)) return;
+      drag.moved = true;
+      this.#selectCalendarRange(drag.anchor, idx, 'input');
+    });
+    const endDrag = () => {
+      const drag = this.#calDrag; this.#calDrag = null;
+      if (!drag?.moved) return;
+      this.#calAnchor = null;
+      this.#calSuppressClick = true;
+      this.#emit('change');
+    };
+    E.calendarMonths.addEventListener('pointerup', endDrag);
+    E.calendarMonths.addEventListener('pointercancel', endDrag);
+  }
+
+  #onOutsidePointer = (ev) => {
+    if (!ev.composedPath().includes(this)) this.#closeCalendar();
+  };
+
+  #openCalendar() {
+    const E = this.#els;
+    const d = this.#idxToDate(this.#state.dateStart);
+    this.#calMonth = new Date(d.getFullYear(), d.getMonth(), 1);
+    this.#calOpen = true;
+    E.calendar.hidden = false;
+    E.calendarToggle.setAttribute('aria-expanded', 'true');
+    document.addEventListener('pointerdown', this.#onOutsidePointer, true);
+    this.#renderCalendar();
+    E.calendarMonths.querySelector('button.day.range-start:not(:disabled)')?.focus();
+  }
+
+  #closeCalendar() {
+    if (!this.#calOpen) return;
+    const E = this.#els;
+    this.#calOpen = false;
+    this.#calAnchor = null;
+    this.#calDrag = null;
+    E.calendar.hidden = true;
+    E.calendarToggle.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('pointerdown', this.#onOutsidePointer, true);
+  }
+
+  #shiftCalendarMonth(delta) {
+    this.#calMonth = new Date(this.#calMonth.getFullYear(), this.#calMonth.getMonth() + delta, 1);
+    this.#renderCalendar();
+  }
+
+  #selectCalendarRange(a, b, type) {
+    const S = this.#state;
+    S.dateStart = Math.min(a, b);
+    S.dateEnd   = Math.max(a, b);
+    this.#clampAndSyncDates(); this.#renderDate(); this.#emit(type);
+  }
+
+  /* ---------- Presets ---------- */
+  #wirePresets() {
+    const E = this.#els;
+    E.presetSlot.addEventListener('slotchange', () => {
+      if (this.#presets) return; // property wins over declarative options
+      this.#renderPresets();
+      if (this.#ready) this.#renderPresetState();
+    });
+    E.presets.addEventListener('click', (ev) => {
+      if (this.#disabled) return;
+      const b = ev.target.closest?.('button.preset');
+      const p = b && this.#presetList()[+b.dataset.index];
+      if (p) this.#applyPreset(p);
+    });
+  }
+
+  #presetList() {
+    if (this.#presets) return this.#presets;
+    // <option value="night" data-dates="last-7-days" data-time="22:00-06:00" data-time-zone="UTC">Night shift</option>
+    return [...this.children].filter(el => el.localName === 'option').map(o => this.#normalizePreset({
+      id: o.getAttribute('value') || undefined,
+      label: o.textContent.trim(),
+      dates: o.dataset.dates,
+      time: o.dataset.time,
+      timeZone: o.dataset.timeZone
+    })).filter(Boolean);
+  }
+
+  #normalizePreset(p) {
+    if (!p || typeof p !== 'object') return null;
+    const label = String(p.label ?? p.id ?? '').trim();
+    if (!label) return null;
+    return {
+      id: String(p.id ?? label),
+      label,
+      dates: p.dates ? String(p.dates) : null,
+      time: p.time ?? null,
+      timeZone: p.timeZone ? String(p.timeZone) : null
+    };
+  }
+
+  // Resolve against today and the current bounds/steps; each part is null when the preset leaves it alone.
+  #resolvePreset(p) {
+    const S = this.#state;
+    const r = { dates: null, time: null, timeZone: null, outOfBounds: false };
+
+    const range = p.dates ? this.#resolveDateExpression(p.dates) : null;
+    if (range) {
+      let a = this.#dateToIdx(range.start), b = this.#dateToIdx(range.end);
+      if (a > b) [a, b] = [b, a];
+      r.outOfBounds = b < S.dateMin || a > S.dateMax;
+      r.dates = {
+        start: snapToStep(clamp(S.dateMin, S.dateMax, a), S.dateStepDays),
+        end: snapToStep(clamp(S.dateMin, S.dateMax, b), S.dateStepDays)
+      };
+    }
+
+    const time = this.#parsePresetTime(p.time);
+    if (time) {
+      const snapped = clampTimes({ ...S, timeStart: time.start, timeEnd: time.end, extraWindows: [] });
+      r.time = { start: snapped.timeStart, end: snapped.timeEnd };
+    }
+
+    if (p.timeZone && isValidTimeZone(p.timeZone)) r.timeZone = p.timeZone;
+    return r;
+  }
+
+  // "today", "yesterday", "last-7-days", "next-3-days", "this|last-week|month|quarter|year", "all",
+  // or "<from>/<to>" with ISO dates or day offsets from today ("-6/0").
+  #resolveDateExpression(expr) {
+    const S = this.#state;
+    const today = todayLocal();
+    const y = today.getFullYear(), mo = today.getMonth();
+    const day = (offset, from = today) => { const d = new Date(from); d.setDate(d.getDate() + offset); return d; };
+    const e = String(expr).trim().toLowerCase();
+    let m;
+
+    if (e === 'all') return { start: S.minDate, end: S.maxDate };
+    if (e === 'today') return { start: today, end: today };
+    if (e === 'yesterday') return { start: day(-1), end: day(-1) };
+    if ((m = /^last-(\d+)-days?$/.exec(e))) return { start: day(1 - m[1]), end: today };
+    if ((m = /^next-(\d+)-days?$/.exec(e))) return { start: today, end: day(m[1] - 1) };
+    if ((m = /^(this|last)-(week|month|quarter|year)$/.exec(e))) {
+      const k = m[1] === 'last' ? -1 : 0;
+      switch (m[2]) {
+        case 'week': {
+          const back = ((today.getDay() || 7) - this.#firstDayOfWeek() + 7) % 7;
+          const start = day(-back + 7 * k);
+          return { start, end: day(6, start) };
+        }
+        case 'month': return { start: new Date(y, mo + k, 1), end: new Date(y, mo + k + 1, 0) };
+        case 'quarter': {
+          const q = Math.floor(mo / 3) + k;
+          return { start: new Date(y, q * 3, 1), end: new Date(y, q * 3 + 3, 0) };
+        }
+        case 'year': return { start: new Date(y + k, 0, 1), end: new Date(y + k, 11, 31) };
+      }
+    }
+    if ((m = /^([^/]+)\/([^/]+)$/.exec(e))) {
+      const bound = (v) => /^[+-]?\d+$/.test(v.trim()) ? day(+v) : coerceDateOnly(v.trim());
+      const start = bound(m[1]), end = bound(m[2]);
+      if (start && end) return { start, end };
+    }
+    return null;
+  }
+
+  // "22:00-06:00" (also "22:00/06:00", seconds and "24:00" allowed) or { startMinutes, endMinutes }
+  #parsePresetTime(t) {
+    if (!t) return null;
+    if (typeof t === 'object') {
+      return Number.isFinite(t.startMinutes) && Number.isFinite(t.endMinutes)
+        ? { start: this.#minutesToTime(t.startMinutes), end: this.#minutesToTime(t.endMinutes) } : null;
+    }
+    const m = /^(\d{1,2}:\d{2}(?::\d{2})?)\s*[-–/]\s*(\d{1,2}:\d{2}(?::\d{2})?)$/.exec(String(t).trim());
+    const [start, end] = m ? [m[1], m[2]].map(v => parseTimeOfDay(v.replace(/^\d:/, '0$&'))) : [];
+    return start != null && end != null ? { start, end } : null;
+  }
+
+  #applyPreset(p) {
+    const S = this.#state;
+    const r = this.#resolvePreset(p);
+    if (r.dates) { S.dateStart = r.dates.start; S.dateEnd = r.dates.end; }
+    if (r.time) { S.timeStart = r.time.start; S.timeEnd = r.time.end; S.extraWindows = []; }
+    if (r.timeZone) S.timeZone = r.timeZone;
+    this.#renderAll();
+    this.#emit('change');
+  }
+
+  // A preset is active while every part it defines still matches the state.
+  #activePreset() {
+    const S = this.#state;
+    return this.#presetList().find((p) => {
+      const r = this.#resolvePreset(p);
+      if (!r.dates && !r.time && !r.timeZone) return false;
+      if (r.dates && (r.dates.start !== S.dateStart || r.dates.end !== S.dateEnd)) return false;
+      if (r.time && (r.time.start !== S.timeStart || r.time.end !== S.timeEnd || S.extraWindows.length)) return false;
+      if (r.timeZone && r.timeZone !== S.timeZone) return false;
+      return true;
+    }) ?? null;
+  }
+
+  /* ---------- Weekday filter ---------- */
+  // Toggle row (shown with the `weekdays` attribute); at least one weekday stays selected.
+  #wireWeekdays() {
+    this.#els.weekdays.addEventListener('click', (ev) => {
+      const b = ev.target.closest('button[data-weekday]');
+      if (!b || this.#disabled) return;
+      const S = this.#state, day = +b.dataset.weekday;
+      const next = S.weekdays.includes(day)
+        ? S.weekdays.filter(d => d !== day)
+        : [...S.weekdays, day].sort((a, b) => a - b);
+      if (!next.length) return;
+      S.weekdays = next;
+      this.#renderWeekdays();
+      this.#renderDate();
+      this.#emit('change');
+    });
+  }
+
+  // Continuous mode is a single interval, so the filter does not apply there
+  #weekdayMask() { return this.#isContinuous() ? [...ALL_WEEKDAYS] : [...this.#state.weekdays]; }
+  #isoWeekday(d) { return d.getDay() || 7; }
+  #weekdayName(iso, style) { return weekdayName(iso, style, this.#locale()); }
+
+  /* ---------- Histograms ---------- */
+  // Hovering a bar of dateHistogram / timeHistogram shows its span and value (not while dragging)
+  #wireHistograms() {
+    const E = this.#els;
+    const days = (a, b) => (a === b ? this.#fmtDateLong(this.#idxToDate(a))
+      : this.#msg('range', { start: this.#fmtDateLong(this.#idxToDate(a)), end: this.#fmtDateLong(this.#idxToDate(b)) }));
+    const times = (a, b) => this.#msg('range', { start: this.#fmtTimeOfDay(Math.round(a)), end: this.#fmtTimeOfDay(Math.round(b) % DAY_SECONDS) });
+    for (const [track, tip, describe] of [[E.dateTrack, E.dateHistogramTip, days], [E.timeTrack, E.timeHistogramTip, times]]) {
+      const hide = () => { tip.hidden = true; };
+      track.addEventListener('pointermove', (ev) => {
+        const bar = ev.target.closest?.('.bar');
+        if (!bar || ev.buttons || track.classList.contains('dragging')) { hide(); return; }
+        const { start, end, value } = bar.dataset;
+        tip.textContent = this.#msg('histogramValue', { span: describe(+start, +end), value: (+value).toLocaleString(this.#locale()) });
+        tip.style.left = `calc(${bar.style.left} + ${bar.style.width} / 2)`;
+        tip.hidden = false;
+      });
+      track.addEventListener('pointerleave', hide);
+      track.addEventListener('pointerdown', hide);
+    }
+  }
+
+  /* ---------- Date zoom ---------- */
+  // Opt-in via the `date-zoom` attribute. The date track then shows a viewport into the bounds:
+  // the wheel zooms around the pointer (Shift+wheel or a horizontal wheel pans), two fingers pinch,
+  // + / - / 0 on the focused track zoom in, out and back to the bounds, and the overview pans.
+  #hasDateZoom() { return this.hasAttribute('date-zoom'); }
+  #wireDateZoom() {
+    const E = this.#els, track = E.dateTrack;
+    const ratioAt = (x, rect) => rect.width ? clamp(0, 1, (x - rect.left) / rect.width) : 0.5;
+    const viewSpan = () => this.#state.dateViewEnd - this.#state.dateViewStart;
+    const apply = (next) => {
+      if (next === this.#state) return false;
+      Object.assign(this.#state, next); this.#renderDateView();
+      return true;
+    };
+
+    // Wheel deltas below a whole day add up
+    let zoomCarry = 0, panCarry = 0;
+    track.addEventListener('wheel', (ev) => {
+      if (!this.#hasDateZoom() || this.#disabled) return;
+      const S = this.#state, rect = track.getBoundingClientRect();
+      const unit = ev.deltaMode === 1 ? 16 : ev.deltaMode === 2 ? rect.width : 1; // lines / pages → pixels
+      const dx = (ev.shiftKey ? ev.deltaY : ev.deltaX) * unit, dy = ev.shiftKey ? 0 : ev.deltaY * unit;
+      if (Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0 ? S.dateViewStart <= S.dateMin : S.dateViewEnd >= S.dateMax) return; // let the page scroll
+        ev.preventDefault();
+        panCarry += rect.width ? dx / rect.width * viewSpan() : 0;
+        const days = Math.trunc(panCarry);
+        if (days) { panCarry -= days; apply(panDateView(S, days)); }
+      } else if (dy) {
+        const full = S.dateMax - S.dateMin;
+        if (dy < 0 ? viewSpan() <= Math.min(MIN_VIEW_DAYS, full) : viewSpan() >= full) return;
+        ev.preventDefault();
+        zoomCarry += dy * (ev.ctrlKey ? 0.01 : 0.002); // Ctrl+wheel is a trackpad pinch, with small deltas
+        if (apply(zoomDateView(S, Math.exp(zoomCarry), ratioAt(ev.clientX, rect)))) zoomCarry = 0;
+      }
+    }, { passive: false });
+
+    // Pinch: the spread of two touches scales the viewport as it was when the second one landed
+    const touches = new Map();
+    const spread = () => { const [a, b] = [...touches.values()]; return Math.max(1, Math.abs(a - b)); };
+    track.addEventListener('pointerdown', (ev) => {
+      if (!touches.size) this.#pinch = null;
+      if (ev.pointerType !== 'touch') return;
+      touches.set(ev.pointerId, ev.clientX);
+      if (touches.size !== 2 || !this.#hasDateZoom() || this.#disabled) return;
+      const [a, b] = [...touches.values()], S = this.#state;
+      this.#pinch = { viewStart: S.dateViewStart, viewEnd: S.dateViewEnd, spread: spread(), ratio: ratioAt((a + b) / 2, track.getBoundingClientRect()), active: true };
+    });
+    track.addEventListener('pointermove', (ev) => {
+      if (!touches.has(ev.pointerId)) return;
+      touches.set(ev.pointerId, ev.clientX);
+      const p = this.#pinch;
+      if (!p?.active || touches.size !== 2) return;
+      apply(zoomDateView({ ...this.#state, dateViewStart: p.viewStart, dateViewEnd: p.viewEnd }, p.spread / spread(), p.ratio));
+    });
+    const lift = (ev) => {
+      touches.delete(ev.pointerId);
+      if (this.#pinch) this.#pinch.active = false; // kept until the next gesture, so the drag stays undone
+    };
+    track.addEventListener('pointerup', lift);
+    track.addEventListener('pointercancel', lift);
+
+    track.addEventListener('keydown', (ev) => {
+      if (!this.#hasDateZoom() || this.#disabled || ev.altKey || ev.ctrlKey || ev.metaKey) return;
+      const S = this.#state, ratio = (dateWindowCenter(S) - S.dateViewStart) / (viewSpan() || 1);
+      const next = ev.key === '+' || ev.key === '=' ? zoomDateView(S, 0.5, ratio)
+        : ev.key === '-' ? zoomDateView(S, 2, ratio)
+        : ev.key === '0' ? resetDateView(S) : null;
+      if (!next) return;
+      ev.preventDefault();
+      apply(next);
+    });
+
+    // Overview: dragging pans; pressing outside the viewport centers it there first
+    E.dateOverview.addEventListener('pointerdown', (ev) => {
+      if (ev.button !== 0 || this.#disabled) return;
+      ev.preventDefault();
+      const S = this.#state, rect = E.dateOverview.getBoundingClientRect(), full = S.dateMax - S.dateMin;
+      const day = S.dateMin + ratioAt(ev.clientX, rect) * full;
+      if (day < S.dateViewStart || day > S.dateViewEnd) apply(panDateView(S, day - (S.dateViewStart + S.dateViewEnd) / 2));
+      const from = { dateViewStart: S.dateViewStart, dateViewEnd: S.dateViewEnd }, downX = ev.clientX;
+      E.dateOverview.setPointerCapture(ev.pointerId);
+      const onMove = (e) => apply(panDateView({ ...this.#state, ...from }, rect.width ? (e.clientX - downX) / rect.width * full : 0));
+      const onUp = () => {
+        E.dateOverview.releasePointerCapture(ev.pointerId);
+        E.dateOverview.removeEventListener('pointermove', onMove);
+        E.dateOverview.removeEventListener('pointerup', onUp);
+        E.dateOverview.removeEventListener('pointercancel', onUp);
+      };
+      E.dateOverview.addEventListener('pointermove', onMove);
+      E.dateOverview.addEventListener('pointerup', onUp);
+      E.dateOverview.addEventListener('pointercancel', onUp);
+    });
   }
 
   /* ---------- Track drag + recenter-on-click ---------- */
   #enableTrackDraggingAndRecenter() { this.#makeTrackInteractive('date'); this.#makeTrackInteractive('time'); }
   #makeTrackInteractive(kind) {
     const CLICK_PX_THRESHOLD = 6;
+    const DOUBLE_CLICK_MS = 400;
     const isDate = kind === 'date';
     const track = isDate ? this.#els.dateTrack : this.#els.timeTrack;
     if (!track) return;
+    // Time track, max-windows > 1: a double-click adds/removes a window, so a click's `change` waits
+    // until no second click can follow. { t, x, before, timer } of that pending click.
+    let lastClick = null;
+    const settleClick = () => {
+      if (!lastClick) return false;
+      clearTimeout(lastClick.timer);
+      lastClick = null;
+      this.#commitPendingClick = null;
+      return true;
+    };
+    const commitClick = () => { settleClick(); this.#emit('change'); };
+    let active = false;   // further pointers (a second finger) do not start another drag
 
     const onPointerDown = (ev) => {
-      if (ev.button !== 0) return;
+      if (ev.button !== 0 || this.#disabled || active) return;
       ev.preventDefault();
+      clearTimeout(lastClick?.timer); // this gesture commits the pending click, or makes it a double-click
+      track.focus({ preventScroll: true }); // keep keyboard nudging available after a click
       const rect = track.getBoundingClientRect();
       const downX = ev.clientX, downY = ev.clientY;
-      let dragged = false;
+      let dragged = false, pinched = false;
 
+      active = true;
       track.classList.add('dragging');
       track.setPointerCapture(ev.pointerId);
 
       const S = this.#state;
       const init = isDate
-        ? { a: S.dateStart, b: S.dateEnd, min: S.dateMin, max: S.dateMax, step: S.dateStepDays, span: S.dateMax - S.dateMin }
-        : { a: S.timeStart, b: S.timeEnd, min: S.timeMin, max: S.timeMax, step: S.timeStep, span: (S.timeMax - S.timeMin) };
+        ? { span: S.dateViewEnd - S.dateViewStart, from: { dateStart: S.dateStart, dateEnd: S.dateEnd } }
+        : { span: S.timeMax - S.timeMin,
+            from: { timeStart: S.timeStart, timeEnd: S.timeEnd, dateStart: S.dateStart, dateEnd: S.dateEnd,
+                    extraWindows: S.extraWindows.map(w => ({ ...w })) } };
+
+      // A second finger turns the drag into a pinch zoom (date-zoom): the drag so far is undone
+      const yieldToPinch = () => {
+        if (pinched || !this.#pinch) return pinched;
+        if (dragged) { Object.assign(S, init.from); this.#renderDate(); this.#emit('input'); }
+        return pinched = dragged = true;
+      };
 
       const onPointerMove = (e) => {
+        if (e.pointerId !== ev.pointerId || yieldToPinch()) return;
         const dx = e.clientX - downX, dy = e.clientY - downY;
         if (!dragged && Math.hypot(dx, dy) > CLICK_PX_THRESHOLD) dragged = true;
         if (!dragged) return;
 
         const ratio = rect.width ? dx / rect.width : 0;
         if (isDate) {
-          let shift = Math.round(ratio * init.span);
-          shift = Math.round(shift / init.step) * init.step;
-          const minShift = init.min - init.a;
-          const maxShift = init.max - init.b;
-          const minShiftStep = Math.ceil(minShift / init.step) * init.step;
-          const maxShiftStep = Math.floor(maxShift / init.step) * init.step;
-          shift = Math.max(minShiftStep, Math.min(maxShiftStep, shift));
-          S.dateStart = init.a + shift; S.dateEnd = init.b + shift;
+          Object.assign(S, shiftDateWindow({ ...S, ...init.from }, Math.round(ratio * init.span)));
           this.#renderDate(); this.#emit('input');
         } else {
-          let shift = Math.round(ratio * (init.span + 1));
-          shift = Math.round(shift / init.step) * init.step;
-          const mod = 1440, wrap = (v) => ((v % mod) + mod) % mod;
-          S.timeStart = wrap(init.a + shift); S.timeEnd = wrap(init.b + shift);
-          this.#renderTime(); this.#emit('input');
+          const shift = Math.round(ratio * DAY_SECONDS);
+          if (this.#shiftTimeWindow(shift, init.from)) this.#renderDate(); else this.#renderTime();
+          this.#emit('input');
         }
       };
 
       const onPointerUp = (e) => {
+        if (e.pointerId !== ev.pointerId) return;
+        active = false;
+        yieldToPinch();
         track.classList.remove('dragging');
         track.releasePointerCapture(ev.pointerId);
         if (!dragged) {
@@ -474,10 +1478,29 @@ class DateAndDaytimeRangePicker extends HTMLElement {
           const clickRatio = rectNow.width
             ? (Math.min(rectNow.right, Math.max(rectNow.left, e.clientX)) - rectNow.left) / rectNow.width
             : 0.5;
-          if (isDate) this.#recenterDateAt(clickRatio); else this.#recenterTimeAt(clickRatio);
-          this.#emit('change');
-        } else {
+          const double = !isDate && this.#maxWindows() > 1 && lastClick
+            && ev.timeStamp - lastClick.t < DOUBLE_CLICK_MS && Math.abs(e.clientX - lastClick.x) <= CLICK_PX_THRESHOLD;
+          if (double) {
+            // Undo the first click's (uncommitted) recenter, then add or remove a window at the pointer
+            Object.assign(S, lastClick.before);
+            settleClick();
+            this.#toggleTimeWindowAt(clickRatio);
+            this.#renderTime();
+            this.#emit('change');
+          } else {
+            settleClick(); // a click elsewhere supersedes the pending one
+            if (isDate) this.#recenterDateAt(clickRatio); else this.#recenterTimeAt(clickRatio);
+            if (!isDate && this.#maxWindows() > 1) {
+              const timer = setTimeout(commitClick, DOUBLE_CLICK_MS);
+              lastClick = { t: ev.timeStamp, x: e.clientX, before: init.from, timer };
+              this.#commitPendingClick = commitClick;
+            } else this.#emit('change');
+          }
+        } else if (!pinched) {
+          settleClick();
           this.#emit('change');
+        } else if (settleClick()) {
+          this.#emit('change'); // the pinch undid the drag, not the pending click
         }
         track.removeEventListener('pointermove', onPointerMove);
         track.removeEventListener('pointerup', onPointerUp);
@@ -493,80 +1516,267 @@ class DateAndDaytimeRangePicker extends HTMLElement {
   }
 
   #recenterDateAt(ratio) {
-    const S = this.#state;
-    const r = Math.max(0, Math.min(1, ratio));
-    const span = S.dateMax - S.dateMin;
-    const currentCenter = (S.dateStart + S.dateEnd) / 2;
-    const targetCenter = S.dateMin + r * span;
-    let shift = targetCenter - currentCenter;
-    shift = Math.round(shift / S.dateStepDays) * S.dateStepDays;
-    const minShift = S.dateMin - S.dateStart;
-    const maxShift = S.dateMax - S.dateEnd;
-    const minShiftStep = Math.ceil(minShift / S.dateStepDays) * S.dateStepDays;
-    const maxShiftStep = Math.floor(maxShift / S.dateStepDays) * S.dateStepDays;
-    shift = Math.max(minShiftStep, Math.min(maxShiftStep, shift));
-    S.dateStart += shift; S.dateEnd += shift;
+    this.#reduce(recenterDateAt, ratio);
     this.#renderDate(); this.#emit('input');
   }
 
   #recenterTimeAt(ratio) {
-    const S = this.#state, mod = 1440;
-    const r = Math.max(0, Math.min(1, ratio));
-    const width = (S.timeEnd >= S.timeStart) ? (S.timeEnd - S.timeStart) : (mod - S.timeStart + S.timeEnd);
-    let center = (S.timeStart + width / 2) % mod; center = (center + mod) % mod;
-    let target = Math.round(r * (mod - 1)); target = ((target % mod) + mod) % mod;
-    let shift = target - center;
-    shift = Math.round(shift / S.timeStep) * S.timeStep;
-    const wrap = (v) => ((v % mod) + mod) % mod;
-    S.timeStart = wrap(S.timeStart + shift);
-    S.timeEnd   = wrap(S.timeEnd + shift);
-    this.#renderTime(); this.#emit('input');
+    const S = this.#state;
+    const { dateStart, dateEnd } = S;
+    this.#reduce(recenterTimeAt, ratio, this.#rangeOptions());
+    if (S.dateStart !== dateStart || S.dateEnd !== dateEnd) this.#renderDate(); else this.#renderTime();
+    this.#emit('input');
   }
 
-  /* ---------- Rendering ---------- */
-  #renderAll() { this.#renderTZ(); this.#renderDate(); this.#renderTime(); }
-  #renderTZ() {
+  /* ---------- Keyboard ---------- */
+  // Thumbs: arrows = 1 step, PageUp/PageDown = 1 week / 1 hour, Home/End = bounds,
+  // Shift+key moves the whole window. Tracks: keys always move the whole window.
+  #enableKeyboard() {
     const E = this.#els;
-    E.tzInput.value = this.#state.timeZone;
+    this.#makeKeyboardInteractive('date', 'start', E.dateThumbStart);
+    this.#makeKeyboardInteractive('date', 'end', E.dateThumbEnd);
+    this.#makeKeyboardInteractive('date', 'window', E.dateTrack);
+    this.#makeKeyboardInteractive('time', 'start', E.timeThumbStart);
+    this.#makeKeyboardInteractive('time', 'end', E.timeThumbEnd);
+    this.#makeKeyboardInteractive('time', 'window', E.timeTrack);
+
+    // Ctrl/Cmd+Z undoes, Shift+Ctrl/Cmd+Z redoes; text, date and time fields keep their own undo
+    this.#root.addEventListener('keydown', (ev) => {
+      if (this.#disabled || !(ev.ctrlKey || ev.metaKey) || ev.altKey || ev.key.toLowerCase() !== 'z') return;
+      const target = ev.composedPath()[0];
+      if (target.localName === 'input' && target.type !== 'range') return;
+      ev.preventDefault();
+      if (ev.shiftKey) this.redo(); else this.undo();
+    });
+  }
+  #makeKeyboardInteractive(kind, handle, el) {
+    const isDate = kind === 'date';
+    // Like a native range input: `input` per step, one `change` once the key is released (or focus leaves)
+    let moved = false;
+    const commit = () => {
+      if (!moved) return;
+      moved = false;
+      this.#emit('change', { historyGroup: el });
+    };
+    el.addEventListener('keyup', commit);
+    el.addEventListener('blur', () => { commit(); this.#historyGroup = null; }); // a later visit is a new undo step
+
+    el.addEventListener('keydown', (ev) => {
+      if (this.#disabled || ev.altKey || ev.ctrlKey || ev.metaKey) return;
+      const S = this.#state;
+      const step = isDate ? S.dateStepDays : S.timeStep;
+      const page = Math.max(1, Math.round((isDate ? 7 : 3600) / step)) * step;
+      const last = isDate ? S.dateMax : Math.floor(S.timeMax / step) * step;
+      const first = isDate ? S.dateMin : S.timeMin;
+
+      let delta = null, to = null;
+      switch (ev.key) {
+        case 'ArrowLeft': case 'ArrowDown': delta = -step; break;
+        case 'ArrowRight': case 'ArrowUp': delta = step; break;
+        case 'PageDown': delta = -page; break;
+        case 'PageUp': delta = page; break;
+        case 'Home': to = 'first'; break;
+        case 'End': to = 'last'; break;
+        default: return;
+      }
+      ev.preventDefault();
+
+      const a = isDate ? S.dateStart : S.timeStart;
+      const b = isDate ? S.dateEnd : S.timeEnd;
+      if (handle === 'window' || ev.shiftKey) {
+        if (to) delta = to === 'first' ? first - a : last - b;
+        if (isDate) this.#shiftDateWindow(delta); else this.#shiftTimeWindow(delta);
+      } else {
+        const cur = handle === 'start' ? a : b;
+        let v = to ? (to === 'first' ? first : last) : cur + delta;
+        // Date handles never cross; time handles may (that is a midnight wrap).
+        if (isDate) v = handle === 'start' ? clamp(first, b, v) : clamp(a, last, v);
+        else v = clamp(first, last, v);
+        S[`${kind}${handle === 'start' ? 'Start' : 'End'}`] = v;
+        if (isDate) this.#clampAndSyncDates(); else this.#clampAndSyncTimes();
+      }
+
+      // Continuous mode: time shifts may carry into the dates; #renderDate then renders time too
+      if (isDate || this.#isContinuous()) this.#renderDate(); else this.#renderTime();
+      moved = true;
+      this.#emit('input');
+    });
+  }
+
+  #shiftDateWindow(delta) { this.#reduce(shiftDateWindow, delta); }
+  // Relative to `from` (default: current state), e.g. the state when a drag started.
+  // Returns true when the dates changed (continuous mode).
+  #shiftTimeWindow(delta, from = this.#state) {
+    const S = this.#state, base = from === S ? S : { ...S, ...from };
+    const next = shiftTimeWindow(base, delta, this.#rangeOptions());
+    if (next === base) return false; // stopped at the date bounds
+    const datesChanged = next.dateStart !== S.dateStart || next.dateEnd !== S.dateEnd;
+    Object.assign(S, next);
+    return datesChanged;
+  }
+
+  /* ---------- Rendering ---------- */
+  #renderAll() { this.#renderTZ(); this.#renderDate(); this.#renderTime(); this.#renderWeekdays(); }
+
+  #renderPresets() {
+    const E = this.#els;
+    const list = this.#presetList();
+    E.presets.innerHTML = '';
+    E.presetsGroup.hidden = list.length === 0;
+    list.forEach((p, i) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'preset';
+      b.setAttribute('part', 'preset');
+      b.dataset.index = String(i);
+      b.textContent = p.label;
+      E.presets.appendChild(b);
+    });
+    if (this.#ready) this.#renderPresetState();
+  }
+
+  #renderPresetState() {
+    const active = this.#activePreset();
+    const list = this.#presetList();
+    for (const b of this.#els.presets.querySelectorAll('button.preset')) {
+      const p = list[+b.dataset.index];
+      b.setAttribute('aria-pressed', String(!!active && p?.id === active.id));
+      b.disabled = this.#disabled || (p ? this.#resolvePreset(p).outOfBounds : true);
+    }
+  }
+
+  #renderTZ() {
+    const E = this.#els;
+    E.tzInput.value = this.#state.timeZone;
     const d = this.#idxToDate(this.#state.dateStart);
-    const [h, m, s] = this.#minToHMS(this.#state.timeStart);
-    const iso = this.#toISOWithOffset(this.#state.timeZone, d.getFullYear(), d.getMonth()+1, d.getDate(), h, m, s);
-    E.tzOffsetPreview.value = `${this.#state.timeZone} offset: ${iso.slice(-6)}`;
+    const [h, m, s] = secondsToHMS(this.#state.timeStart);
+    const iso = this.#toISOWithOffset(this.#state.timeZone, d.getFullYear(), d.getMonth()+1, d.getDate(), h, m, s, 'compatible');
+    E.tzOffsetPreview.value = this.#msg('offsetPreview', { timeZone: this.#state.timeZone, offset: iso.slice(-6) });
+    this.#renderDisplayZone();
+    this.#renderDstMarks();
+    this.#renderPresetState();
+  }
+
+  // `display-tz` (default: the browser's zone): the range endpoints converted into that zone next to the
+  // offset preview, `.day-shift` when an endpoint falls on another date there, and a second row of time
+  // tick labels with its wall times. Hidden while it is the selected zone.
+  #displayZone() {
+    const value = this.getAttribute('display-tz');
+    if (value === 'none') return null;
+    const tz = value || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return tz && isValidTimeZone(tz) ? tz : null;
+  }
+  #renderDisplayZone() {
+    const E = this.#els, S = this.#state;
+    const zone = this.#displayZone();
+    const [start, end] = this.#rangeEndpoints();
+    const shown = !!zone && zone !== S.timeZone && start.epoch != null && end.epoch != null;
+    E.displayTzPreview.hidden = E.displayTzTickLabels.hidden = !shown;
+    E.timeTrack.closest('.range').classList.toggle('has-display-tz', shown);
+    if (!shown) return;
+
+    let shifted = false;
+    const convert = (epoch) => {
+      const there = partsInZone(zone, epoch);
+      const days = daysBetween(partsInZone(S.timeZone, epoch).date, there.date);
+      const time = this.#fmtTimeOfDay(there.seconds);
+      if (!days) return time;
+      shifted = true;
+      return this.#msg('dayShift', { time, days: (days > 0 ? '+' : '−') + Math.abs(days) });
+    };
+    const times = this.#msg('range', { start: convert(start.epoch), end: convert(end.epoch) });
+    E.displayTzPreview.textContent = this.#msg('displayZone', { timeZone: zone, times });
+    E.displayTzPreview.classList.toggle('day-shift', shifted);
+
+    // Offsets at the selection's start; tick labels are the display zone's wall times
+    const shift = (offsetMinutes(zone, start.epoch) - offsetMinutes(S.timeZone, start.epoch)) * 60;
+    const ticks = buildTimeTicks({ locale: this.#locale(), target: this.#TIME_TICK_TARGET, timeMax: S.timeMax, shift });
+    this.#renderTicks(null, E.displayTzTickLabels, ticks);
   }
 
   #renderDate() {
     const E = this.#els; const S = this.#state;
-    const step = S.dateStepDays;
-    E.dateThumbStart.min = String(S.dateMin);
-    E.dateThumbStart.max = String(S.dateMax);
-    E.dateThumbStart.step = String(step);
-    E.dateThumbEnd.min = String(S.dateMin);
-    E.dateThumbEnd.max = String(S.dateMax);
-    E.dateThumbEnd.step = String(step);
-
-    E.dateThumbStart.value = String(S.dateStart);
-    E.dateThumbEnd.value = String(S.dateEnd);
+    this.#avoidDisabledDates();
+    this.#revealDates();
+    E.dateStart.value = formatDateISO(this.#idxToDate(S.dateStart));
+    E.dateEnd.value = formatDateISO(this.#idxToDate(S.dateEnd));
+
+    // ARIA: human-readable values; the track stands for the whole window
+    const mid = Math.round(dateWindowCenter(S));
+    const startText = this.#fmtDateLong(this.#idxToDate(S.dateStart));
+    const endText = this.#fmtDateLong(this.#idxToDate(S.dateEnd));
+    E.dateThumbStart.setAttribute('aria-valuetext', startText);
+    E.dateThumbEnd.setAttribute('aria-valuetext', endText);
+    this.#setTrackAria(E.dateTrack, S.dateMin, S.dateMax, mid, this.#withWeekdays(this.#msg('range', { start: startText, end: endText })));
+
+    this.#renderDateView();
+    this.#renderCalendar();
+    this.#renderDisplayZone();
+    this.#renderDstMarks();
+    this.#renderPresetState();
+    if (this.#isContinuous()) this.#renderTime(); // time bounds depend on the dates
+  }
 
-    // Center thumb mirrors track bounds/step and sits at the midpoint
-    E.dateThumbCenter.min  = String(S.dateMin);
-    E.dateThumbCenter.max  = String(S.dateMax);
-    E.dateThumbCenter.step = String(S.dateStepDays);
+  // Everything laid out along the date track, which spans the viewport (the whole bounds unless zoomed in)
+  #renderDateView() {
+    const E = this.#els; const S = this.#state;
+    const viewStart = S.dateViewStart, viewEnd = S.dateViewEnd;
+    const mid = Math.round(dateWindowCenter(S));
+    // Thumbs mirror the viewport; one outside it is hidden rather than pinned to the edge
+    for (const [thumb, value] of [[E.dateThumbStart, S.dateStart], [E.dateThumbEnd, S.dateEnd], [E.dateThumbCenter, mid]]) {
+      thumb.min = String(viewStart);
+      thumb.max = String(viewEnd);
+      thumb.step = String(S.dateStepDays);
+      thumb.value = String(value);
+      thumb.classList.toggle('out-of-view', value < viewStart || value > viewEnd);
+    }
 
-    const mid = Math.round((S.dateStart + S.dateEnd) / 2);
-    this.#els.dateThumbCenter.value = String(mid);
+    const at = (idx) => (idx - viewStart) / (viewEnd - viewStart || 1);
+    this.#setFill(E.dateFill, at(S.dateStart), at(S.dateEnd));
+    this.#buildDateTicks();
+    this.#buildDateHistogram();
 
-    E.dateStart.value = this.#fmtDateISO(this.#idxToDate(S.dateStart));
-    E.dateEnd.value = this.#fmtDateISO(this.#idxToDate(S.dateEnd));
+    // Overview (date-zoom): the selection and the viewport within the whole bounds
+    const full = S.dateMax - S.dateMin || 1;
+    const place = (el, a, b) => {
+      el.style.left = `${((a - S.dateMin) / full * 100).toFixed(4)}%`;
+      el.style.width = `${((b - a) / full * 100).toFixed(4)}%`;
+    };
+    place(E.dateOverviewSelection, S.dateStart, S.dateEnd);
+    place(E.dateOverviewViewport, viewStart, viewEnd);
+  }
 
-    const leftPct = (S.dateStart - S.dateMin) / (S.dateMax - S.dateMin || 1);
-    const rightPct = (S.dateEnd - S.dateMin) / (S.dateMax - S.dateMin || 1);
-    this.#setFill(E.dateFill, leftPct, rightPct);
+  // Blackouts (disabledDates / disabledTimes), relative to what was shown last; see `blackout-policy`
+  #blackoutPolicy() { return this.getAttribute('blackout-policy') === 'stop' ? 'stop' : 'skip'; }
+  #avoidDisabledDates() {
+    const S = this.#state, { dateStart, dateEnd } = S;
+    this.#reduce(avoidDisabledDates, this.#shownDates, this.#blackoutPolicy());
+    if (S.dateStart !== dateStart || S.dateEnd !== dateEnd) this.#clampAndSyncDates(); // continuous: re-checks the times
+  }
+  #avoidDisabledTimes() {
+    const S = this.#state;
+    this.#reduce(avoidDisabledTimes, this.#shownTimes, this.#blackoutPolicy(), this.#rangeOptions());
+    this.#shownTimes = { timeStart: S.timeStart, timeEnd: S.timeEnd, extraWindows: S.extraWindows.map(w => ({ ...w })) };
+  }
 
-    this.#buildDateTicks();
+  // Keeps dates that just moved on screen when zoomed in; moving back, the start date wins
+  #revealDates() {
+    const S = this.#state, prev = this.#shownDates;
+    this.#shownDates = { dateStart: S.dateStart, dateEnd: S.dateEnd };
+    if (!prev) return;
+    const days = [];
+    if (S.dateStart !== prev.dateStart) days.push(S.dateStart);
+    if (S.dateEnd !== prev.dateEnd) days.push(S.dateEnd);
+    if (S.dateStart < prev.dateStart) days.reverse();
+    this.#reduce(revealDays, days);
   }
 
   #renderTime() {
     const E = this.#els; const S = this.#state;
+    const { dateStart, dateEnd } = S;
+    this.#avoidDisabledTimes();
+    // Continuous mode: an endpoint moved past midnight carries into the dates, which render the times too
+    if (S.dateStart !== dateStart || S.dateEnd !== dateEnd) { this.#renderDate(); return; }
     const step = S.timeStep, min = S.timeMin, max = S.timeMax;
 
     E.timeThumbStart.min = String(min); E.timeThumbStart.max = String(max); E.timeThumbStart.step = String(step);
@@ -580,17 +1790,15 @@ class DateAndDaytimeRangePicker extends HTMLElement {
     this.#els.timeThumbCenter.max  = String(S.timeMax);
     this.#els.timeThumbCenter.step = String(S.timeStep);
 
-    // circular midpoint
-    const mod = 1440;
-    const width = (S.timeEnd >= S.timeStart) ? (S.timeEnd - S.timeStart) : (mod - S.timeStart + S.timeEnd);
-    const c = (S.timeStart + width / 2) % mod;
+    const c = timeWindowCenter(S);
     this.#els.timeThumbCenter.value = String(Math.round(c));
 
-    E.timeStart.step = String(step * 60);
-    E.timeEnd.step   = String(step * 60);
+    E.timeStart.step = String(step);
+    E.timeEnd.step   = String(step);
 
-    E.timeStart.value = this.#fmtHHMMSS(S.timeStart);
-    E.timeEnd.value   = this.#fmtHHMMSS(S.timeEnd);
+    // Native time inputs have no 24:00: an exclusive end shows 00:00, which clampTimes reads back as 24:00
+    E.timeStart.value = formatHHMMSS(S.timeStart);
+    E.timeEnd.value   = formatHHMMSS(S.timeEnd % DAY_SECONDS);
 
     const startPct = (S.timeStart - min) / (max - min || 1);
     const endPct   = (S.timeEnd - min)   / (max - min || 1);
@@ -604,11 +1812,248 @@ class DateAndDaytimeRangePicker extends HTMLElement {
       this.#setFill(E.timeFillB, 0, endPct);
       E.timeFillB.classList.remove('hidden');
     }
+    this.#renderTimeWindows();
+    this.#buildTimeBlackouts();
+    this.#buildTimeHistogram();
+
+    // ARIA: "22:00" / "06:00, wraps past midnight"
+    const startText = this.#fmtTimeOfDay(S.timeStart);
+    const endText = this.#fmtTimeOfDay(S.timeEnd);
+    const withWrap = (time) => wraps && !this.#isContinuous() ? this.#msg('wrapsPastMidnight', { time }) : time;
+    E.timeThumbStart.setAttribute('aria-valuetext', startText);
+    E.timeThumbEnd.setAttribute('aria-valuetext', withWrap(endText));
+    this.#setTrackAria(E.timeTrack, min, max, Math.round(c), this.#describeTimeWindows(this.#timeWindows()));
 
     this.#buildTimeTicks();
     this.#renderTZ();
   }
 
+  #renderDisabled() {
+    const E = this.#els;
+    if (this.#disabled) this.#closeCalendar();
+    for (const el of Object.values(E)) {
+      if (el?.localName === 'input' || el?.localName === 'button') el.disabled = this.#disabled;
+    }
+    for (const track of [E.dateTrack, E.timeTrack]) {
+      track.classList.toggle('disabled', this.#disabled);
+      track.tabIndex = this.#disabled ? -1 : 0;
+      track.setAttribute('aria-disabled', String(this.#disabled));
+    }
+    this.#renderTimeWindows(); // window buttons also depend on the window count
+    this.#renderWeekdays();
+    this.#renderPresetState(); // preset buttons are built at runtime, not in #els
+  }
+
+  // Toggles start on the locale's first day of the week; rebuilt only when that order changes.
+  #renderWeekdays() {
+    const E = this.#els, S = this.#state;
+    E.weekdaysGroup.hidden = this.#isContinuous() || (!this.hasAttribute('weekdays') && S.weekdays.length === 7);
+    const first = this.#firstDayOfWeek(), key = `${this.#locale()}|${first}`;
+    if (E.weekdays.dataset.key !== key) {
+      E.weekdays.dataset.key = key;
+      E.weekdays.innerHTML = '';
+      for (let k = 0; k < 7; k++) {
+        const iso = (first - 1 + k) % 7 + 1;
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'weekday-toggle';
+        b.setAttribute('part', 'weekday');
+        b.dataset.weekday = String(iso);
+        b.textContent = this.#weekdayName(iso, 'short');
+        b.setAttribute('aria-label', this.#weekdayName(iso, 'long'));
+        E.weekdays.appendChild(b);
+      }
+    }
+    for (const b of E.weekdays.children) {
+      b.setAttribute('aria-pressed', String(S.weekdays.includes(+b.dataset.weekday)));
+      b.disabled = this.#disabled;
+    }
+  }
+
+  // "March 1, 2026 to March 31, 2026, Monday, Tuesday, and Friday only" while weekdays are filtered
+  #withWeekdays(dates, mask = this.#weekdayMask()) {
+    if (mask.length === 7) return dates;
+    const days = new Intl.ListFormat(this.#locale(), { type: 'conjunction' }).format(mask.map(d => this.#weekdayName(d, 'long')));
+    return this.#msg('weekdaysOnly', { dates, days });
+  }
+
+  // Fills and handle pairs of the windows after the first one, plus the add/remove buttons.
+  // Handles are reused across renders so a running drag keeps its pointer capture.
+  #renderTimeWindows() {
+    const E = this.#els, S = this.#state;
+    const max = this.#maxWindows(), count = 1 + S.extraWindows.length;
+    E.timeInputs.classList.toggle('multi', max > 1);
+    E.timeWindowAdd.hidden = E.timeWindowRemove.hidden = max <= 1;
+    E.timeWindowAdd.disabled = this.#disabled || count >= max;
+    E.timeWindowRemove.disabled = this.#disabled || count <= 1;
+
+    const span = S.timeMax - S.timeMin || 1;
+    const pct = (v) => (v - S.timeMin) / span;
+    E.timeWindowFills.innerHTML = '';
+    const thumbs = E.timeWindowThumbs;
+    while (thumbs.children.length > S.extraWindows.length * 2) thumbs.lastElementChild.remove();
+
+    S.extraWindows.forEach((w, i) => {
+      const segments = w.end < w.start ? [[pct(w.start), 1], [0, pct(w.end)]] : [[pct(w.start), pct(w.end)]];
+      for (const [l, r] of segments) {
+        const fill = document.createElement('div');
+        fill.className = 'fill';
+        this.#setFill(fill, l, r);
+        E.timeWindowFills.appendChild(fill);
+      }
+      ['start', 'end'].forEach((handle, k) => {
+        let el = thumbs.children[i * 2 + k];
+        if (!el) {
+          el = document.createElement('input');
+          el.type = 'range';
+          el.className = `thumb ${handle}`;
+          thumbs.appendChild(el);
+        }
+        el.dataset.window = String(i);
+        el.min = String(S.timeMin); el.max = String(S.timeMax); el.step = String(S.timeStep);
+        el.value = String(handle === 'start' ? w.start : w.end);
+        el.disabled = this.#disabled;
+        el.setAttribute('aria-label', this.#msg(handle === 'start' ? 'windowStart' : 'windowEnd', { n: i + 2 }));
+        const text = this.#fmtTimeOfDay(handle === 'start' ? w.start : w.end);
+        el.setAttribute('aria-valuetext', handle === 'end' && w.end < w.start ? this.#msg('wrapsPastMidnight', { time: text }) : text);
+      });
+    });
+  }
+
+  #renderCalendar() {
+    if (!this.#calOpen) return;
+    const E = this.#els, S = this.#state;
+    const months = this.getAttribute('calendar') === '2' ? 2 : 1;
+    const locale = this.#locale();
+    const first = this.#calMonth;
+    const last = new Date(first.getFullYear(), first.getMonth() + months - 1, 1);
+
+    E.calendarPrev.disabled = first <= S.minDate;
+    E.calendarNext.disabled = new Date(last.getFullYear(), last.getMonth() + 1, 0) >= S.maxDate;
+
+    // Rebuild the grid only when the displayed months change; selection updates just toggle classes
+    const key = [first.getTime(), months, locale, S.minDate.getTime(), S.maxDate.getTime()].join('|');
+    if (key !== this.#calKey) {
+      this.#calKey = key;
+      E.calendarMonths.innerHTML = '';
+      const firstDay = this.#firstDayOfWeek();
+
+      for (let k = 0; k < months; k++) {
+        const month = new Date(first.getFullYear(), first.getMonth() + k, 1);
+        const wrap = document.createElement('div');
+        wrap.className = 'month';
+
+        const title = document.createElement('div');
+        title.className = 'month-title';
+        title.textContent = month.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+        wrap.appendChild(title);
+
+        const grid = document.createElement('div');
+        grid.className = 'month-grid';
+        for (let i = 0; i < 7; i++) {
+          const iso = ((firstDay - 1 + i) % 7) + 1;
+          const wd = document.createElement('div');
+          wd.className = 'weekday';
+          wd.textContent = new Date(2026, 0, 4 + iso).toLocaleDateString(locale, { weekday: 'narrow' }); // 2026-01-05 is a Monday
+          grid.appendChild(wd);
+        }
+
+        const lead = ((month.getDay() || 7) - firstDay + 7) % 7;
+        for (let i = 0; i < lead; i++) {
+          const blank = document.createElement('div');
+          blank.className = 'day blank';
+          grid.appendChild(blank);
+        }
+
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+          const d = new Date(month.getFullYear(), month.getMonth(), day);
+          const idx = this.#dateToIdx(d);
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.className = 'day';
+          b.dataset.idx = String(idx);
+          b.disabled = idx < S.dateMin || idx > S.dateMax;
+          b.textContent = String(day);
+          b.setAttribute('aria-label', this.#fmtDateLong(d));
+          grid.appendChild(b);
+        }
+
+        wrap.appendChild(grid);
+        E.calendarMonths.appendChild(wrap);
+      }
+    }
+
+    for (const b of E.calendarMonths.querySelectorAll('button.day')) {
+      const idx = +b.dataset.idx;
+      const inRange = idx >= S.dateStart && idx <= S.dateEnd;
+      b.classList.toggle('in-range', inRange);
+      b.classList.toggle('range-start', idx === S.dateStart);
+      b.classList.toggle('range-end', idx === S.dateEnd);
+      b.setAttribute('aria-pressed', String(inRange));
+      const blackout = isDisabledDay(S, idx);
+      b.classList.toggle('blackout-day', blackout);
+      b.disabled = idx < S.dateMin || idx > S.dateMax || blackout;
+    }
+  }
+
+  // Hatched segments on the time track for wall times skipped/repeated by DST changes
+  // within the selected days; `.hit` when the selected window overlaps one.
+  #renderDstMarks() {
+    const E = this.#els, S = this.#state;
+    const windows = this.#timeWindows();
+    const wraps = windows.some(w => w.end < w.start);
+    const list = this.#dstTransitions(S.timeZone, S.dateStart, S.dateEnd + (wraps && !this.#isContinuous() ? 1 : 0));
+    E.timeDstMarks.innerHTML = '';
+
+    const inWindow = (a, b) => windows.some(w => w.end < w.start
+      ? b > w.start || a < w.end
+      : a < w.end && b > w.start);
+
+    for (const t of list) {
+      const from = t.wallStart, to = t.wallStart + t.length;
+      const mark = document.createElement('div');
+      mark.className = `dst-mark ${t.kind}` + (inWindow(from, to) ? ' hit' : '');
+      const span = S.timeMax - S.timeMin || 1;
+      mark.style.left = `${(from / span * 100).toFixed(4)}%`;
+      mark.style.width = `${((to - from) / span * 100).toFixed(4)}%`;
+      mark.title = this.#msg(t.kind === 'gap' ? 'dstGap' : 'dstOverlap', {
+        start: this.#fmtTimeOfDay(from), end: this.#fmtTimeOfDay(to % DAY_SECONDS), date: this.#fmtDateLong(t.date)
+      });
+      E.timeDstMarks.appendChild(mark);
+    }
+  }
+
+  #setTrackAria(track, min, max, now, text) {
+    track.setAttribute('aria-valuemin', String(min));
+    track.setAttribute('aria-valuemax', String(max));
+    track.setAttribute('aria-valuenow', String(now));
+    track.setAttribute('aria-valuetext', text);
+  }
+
+  #announce(detail) {
+    const dS = coerceDateOnly(detail.dateStart), dE = coerceDateOnly(detail.dateEnd);
+    const dates = this.#withWeekdays(this.#msg('range', { start: this.#fmtDateLong(dS), end: this.#fmtDateLong(dE) }), detail.weekdays);
+    const times = this.#describeTimeWindows(this.#timeWindows());
+    this.#els.liveRegion.textContent = this.#msg('announcement', { dates, times, timeZone: detail.timeZone });
+  }
+
+  // "22:00 to 06:00, wraps past midnight" / "08:00 to 12:00 and 13:00 to 17:00"
+  #describeTimeWindows(windows) {
+    const texts = windows.map(({ start, end }) => {
+      const text = this.#msg('range', { start: this.#fmtTimeOfDay(start), end: this.#fmtTimeOfDay(end) });
+      return end < start && !this.#isContinuous() ? this.#msg('wrapsPastMidnight', { time: text }) : text;
+    });
+    return texts.length > 1 ? new Intl.ListFormat(this.#locale(), { type: 'conjunction' }).format(texts) : texts[0];
+  }
+
+  // Template elements carry message keys: data-msg (text), data-msg-aria-label, data-msg-placeholder.
+  #renderMessages() {
+    for (const el of this.#root.querySelectorAll('[data-msg]')) el.textContent = this.#msg(el.dataset.msg);
+    for (const el of this.#root.querySelectorAll('[data-msg-aria-label]')) el.setAttribute('aria-label', this.#msg(el.dataset.msgAriaLabel));
+    for (const el of this.#root.querySelectorAll('[data-msg-placeholder]')) el.placeholder = this.#msg(el.dataset.msgPlaceholder);
+  }
+
   #setFill(el, leftPct, rightPct) {
     const left = Math.max(0, Math.min(1, leftPct));
     const right = Math.max(0, Math.min(1, rightPct));
@@ -619,188 +2064,1319 @@ class DateAndDaytimeRangePicker extends HTMLElement {
 
   /* ---------- Tick builders ---------- */
   #buildDateTicks() {
-    const ticks = this.#els.dateTicks;
-    const labels = this.#els.dateTickLabels;
-    ticks.innerHTML = ''; labels.innerHTML = '';
-
-    const totalDays = Math.max(1, this.#state.dateMax - this.#state.dateMin);
-    const stepDays = this.#chooseDateTickStep(totalDays, this.#DATE_TICK_TARGET);
-    const minDate = this.#state.minDate;
-
-    for (let i = 0; i <= totalDays; i += stepDays) {
-      const pct = i / totalDays;
-      const d = new Date(minDate); d.setDate(minDate.getDate() + i);
-      const isStrong = stepDays >= 30 || this.#isMonthStart(d);
+    const S = this.#state;
+    const ticks = buildDateTicks({ minDate: this.#idxToDate(S.dateViewStart), totalDays: S.dateViewEnd - S.dateViewStart, locale: this.#locale(), target: this.#DATE_TICK_TARGET });
+    this.#renderTicks(this.#els.dateTicks, this.#els.dateTickLabels, ticks);
+    this.#buildDayMarks();
+  }
+  // Hatched segments over days excluded by the weekday filter, shaded ones over disabled days
+  #buildDayMarks() {
+    const mask = this.#weekdayMask(), firstIso = this.#isoWeekday(this.#state.minDate);
+    this.#markDays(this.#els.dateWeekdayMarks, 'excluded-days', mask.length < 7 && ((i) => !mask.includes((firstIso - 1 + i) % 7 + 1)));
+    this.#markDays(this.#els.dateBlackouts, 'blackout', this.#state.disabledDates && ((i) => isDisabledDay(this.#state, i)));
+  }
+  // Segments over the viewport's days matching `test` (none when it is falsy); consecutive days form one segment
+  #markDays(container, className, test) {
+    const S = this.#state;
+    container.innerHTML = '';
+    if (!test) return;
+    const first = S.dateViewStart, last = S.dateViewEnd, span = Math.max(1, last - first);
+    const pos = (i) => clamp(0, 1, (i - first - 0.5) / span) * 100; // day i covers [i - ½, i + ½]
+    let runStart = null;
+    for (let i = first; i <= last + 1; i++) {
+      const hit = i <= last && test(i);
+      if (hit && runStart == null) runStart = i;
+      if (!hit && runStart != null) {
+        const seg = document.createElement('div');
+        seg.className = className;
+        seg.style.left = `${pos(runStart).toFixed(4)}%`;
+        seg.style.width = `${(pos(i) - pos(runStart)).toFixed(4)}%`;
+        container.appendChild(seg);
+        runStart = null;
+      }
+    }
+  }
+  // Shaded disabled time spans on the time track
+  #buildTimeBlackouts() {
+    const el = this.#els.timeBlackouts, S = this.#state;
+    el.innerHTML = '';
+    const pos = (m) => clamp(0, 1, (m - S.timeMin) / (S.timeMax - S.timeMin || 1)) * 100;
+    for (const { start, end } of S.disabledTimes) {
+      for (const [a, b] of end > start ? [[start, end]] : [[start, DAY_SECONDS], [0, end]]) {
+        const seg = document.createElement('div');
+        seg.className = 'blackout';
+        seg.style.left = `${pos(a).toFixed(4)}%`;
+        seg.style.width = `${(pos(b) - pos(a)).toFixed(4)}%`;
+        el.appendChild(seg);
+      }
+    }
+  }
 
-      const t = document.createElement('div');
-      t.className = 'tick' + (isStrong ? ' strong' : '');
-      t.style.left = `${(pct * 100).toFixed(4)}%`;
-      ticks.appendChild(t);
+  // Histogram bars, scaled to the tallest one shown; the range makes room above the track for them
+  #buildDateHistogram() {
+    const S = this.#state, values = this.#dateHistogram;
+    const first = S.dateViewStart, span = Math.max(1, S.dateViewEnd - first);
+    this.#renderHistogram(this.#els.dateHistogram, values && dateHistogramBars(S, values),
+      ({ start, end }) => [(start - 0.5 - first) / span, (end + 0.5 - first) / span]);
+  }
+  #buildTimeHistogram() {
+    const S = this.#state, values = this.#timeHistogram;
+    const pos = (m) => (m - S.timeMin) / (S.timeMax - S.timeMin || 1);
+    this.#renderHistogram(this.#els.timeHistogram, values && timeHistogramBars(S, values), ({ start, end }) => [pos(start), pos(end)]);
+  }
+  #renderHistogram(el, bars, edges) {
+    el.innerHTML = '';
+    el.hidden = !bars;
+    el.closest('.range').classList.toggle('has-histogram', !!bars);
+    if (!bars) return;
+    const max = Math.max(0, ...bars.map(b => b.value)) || 1;
+    for (const bar of bars) {
+      const [left, right] = edges(bar).map(x => clamp(0, 1, x));
+      if (right <= left) continue;
+      const div = document.createElement('div');
+      div.className = 'bar';
+      Object.assign(div.dataset, { start: bar.start, end: bar.end, value: bar.value });
+      div.style.left = `${(left * 100).toFixed(4)}%`;
+      div.style.width = `${((right - left) * 100).toFixed(4)}%`;
+      div.style.height = `${(bar.value / max * 100).toFixed(2)}%`;
+      el.appendChild(div);
+    }
+  }
 
+  #buildTimeTicks() {
+    const ticks = buildTimeTicks({ locale: this.#locale(), target: this.#TIME_TICK_TARGET, timeMax: this.#state.timeMax });
+    this.#renderTicks(this.#els.timeTicks, this.#els.timeTickLabels, ticks);
+  }
+  // `ticksEl` null: labels only
+  #renderTicks(ticksEl, labelsEl, ticks) {
+    if (ticksEl) ticksEl.innerHTML = '';
+    labelsEl.innerHTML = '';
+    for (const { pct, strong, label } of ticks) {
+      const left = `${(pct * 100).toFixed(4)}%`;
+      if (ticksEl) {
+        const t = document.createElement('div');
+        t.className = 'tick' + (strong ? ' strong' : '');
+        t.style.left = left;
+        ticksEl.appendChild(t);
+      }
+      if (label == null) continue;
       const lab = document.createElement('div');
       lab.className = 'tick-label';
-      lab.style.left = `${(pct * 100).toFixed(4)}%`;
-      lab.textContent = this.#formatDateTickLabel(d, stepDays);
-      labels.appendChild(lab);
+      lab.style.left = left;
+      lab.textContent = label;
+      labelsEl.appendChild(lab);
     }
   }
-  #chooseDateTickStep(totalDays, target) {
-    const candidates = [1, 2, 5, 7, 14, 30, 60, 90, 120, 180, 365];
-    let best = candidates[0], bestDiff = Math.abs(totalDays / candidates[0] - target);
-    for (const c of candidates) {
-      const diff = Math.abs(totalDays / c - target);
-      if (diff < bestDiff) { best = c; bestDiff = diff; }
+
+  /* ---------- Helpers ---------- */
+  #clampAndSyncDates() { this.#reduce(clampDates, this.#rangeOptions()); }
+  #clampAndSyncTimes() { this.#reduce(clampTimes, this.#rangeOptions()); }
+  // Apply a range-core reducer; #state is updated in place, so aliases of it stay valid
+  #reduce(reducer, ...args) { Object.assign(this.#state, reducer(this.#state, ...args)); }
+  #rangeOptions() { return { continuous: this.#isContinuous(), maxWindows: this.#maxWindows() }; }
+
+  /* ---------- Multiple time windows ---------- */
+  // `max-windows` > 1 allows several daily windows. The first one lives in timeStart/timeEnd
+  // (inputs, center thumb, keyboard, track drag); the others in #state.extraWindows.
+  #maxWindows() {
+    if (this.#isContinuous()) return 1;
+    const n = parseInt(this.getAttribute('max-windows') ?? '1', 10);
+    return Number.isNaN(n) ? 1 : Math.max(1, n);
+  }
+  #timeWindows() { return timeWindows(this.#state); }
+  // Overlapping windows merge; the result is sorted by start and capped at max-windows.
+  #setTimeWindows(list) { this.#reduce(setTimeWindows, list, this.#rangeOptions()); }
+  #addTimeWindow() { this.#reduce(addTimeWindow, this.#rangeOptions()); }
+  // Double-click on the time track: remove the window under the pointer, or add one there
+  #toggleTimeWindowAt(ratio) { this.#reduce(toggleTimeWindowAt, ratio, this.#rangeOptions()); }
+
+  // mode="continuous": one absolute interval from dateStart+timeStart to dateEnd+timeEnd
+  #isContinuous() { return this.getAttribute('mode') === 'continuous'; }
+
+  #timeSpanMinutes(window) { return timeSpanSeconds(this.#state, window, this.#rangeOptions()) / 60; }
+
+  /* ---------- Locale & messages ---------- */
+  // `locale` attribute, then the document language, then the runtime default
+  #locale() {
+    for (const tag of [this.getAttribute('locale'), document.documentElement.lang]) {
+      if (!tag) continue;
+      try { return Intl.getCanonicalLocales(tag)[0]; } catch {}
     }
-    return best;
+    return new Intl.DateTimeFormat().resolvedOptions().locale;
   }
-  #isMonthStart(d) { return d.getDate() === 1; }
-  #formatDateTickLabel(d, stepDays) {
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    if (stepDays >= 90) return `${y}-${m}`;
-    if (stepDays >= 30) return `${y}-${m}`;
-    return `${m}-${day}`;
+  #firstDayOfWeek() { return firstDayOfWeek(this.#locale()); }
+  #msg(key, params = {}) {
+    const text = this.#messages[key] ?? DEFAULT_MESSAGES[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, k) => (k in params ? String(params[k]) : m));
   }
 
-  #buildTimeTicks() {
-    const ticks = this.#els.timeTicks;
-    const labels = this.#els.timeTickLabels;
-    ticks.innerHTML = ''; labels.innerHTML = '';
-
-    const totalMins = 1440;
-    const stepMins = this.#chooseTimeTickStep(this.#TIME_TICK_TARGET);
-
-    for (let m = 0; m < totalMins; m += stepMins) {
-      const pct = m / (totalMins - 1);
-      const isStrong = (m % 60 === 0);
-
-      const t = document.createElement('div');
-      t.className = 'tick' + (isStrong ? ' strong' : '');
-      t.style.left = `${(pct * 100).toFixed(4)}%`;
-      ticks.appendChild(t);
-
-      if (isStrong || (m % (stepMins * 2) === 0)) {
-        const lab = document.createElement('div');
-        lab.className = 'tick-label';
-        lab.style.left = `${(pct * 100).toFixed(4)}%`;
-        const H = Math.floor(m / 60), M = m % 60;
-        lab.textContent = `${String(H).padStart(2,'0')}:${String(M).padStart(2,'0')}`;
-        labels.appendChild(lab);
+  #fmtDateLong(d) { return formatDateLong(d, this.#locale()); }
+  // Seconds are always shown with time-precision="second"
+  #fmtTimeOfDay(sec) { return formatTimeOfDay(sec, this.#locale(), this.#timeUnit() === 1 || sec % 60 !== 0); }
+  #dateToIdx(d) { return daysBetween(this.#state.minDate, d); }
+  #idxToDate(idx) { const d=new Date(this.#state.minDate); d.setDate(d.getDate()+idx); return d; }
+
+  /* ---------- Time Zone math (see zone helpers above) ---------- */
+  // 'compatible' (default) | 'earlier' | 'later' | 'reject' — same semantics as Temporal
+  #dstDisambiguation() {
+    const v = this.getAttribute('dst-disambiguation');
+    return ['earlier', 'later', 'reject'].includes(v) ? v : 'compatible';
+  }
+
+  #resolveLocal(tz, y, M, d, h, m, s, mode = this.#dstDisambiguation()) { return resolveLocal(tz, y, M, d, h, m, s, mode); }
+  #localToEpoch(tz, y, M, d, h, m, s) { return this.#resolveLocal(tz, y, M, d, h, m, s).epoch; }
+
+  // null when the wall time is rejected by dst-disambiguation="reject"
+  #toISOWithOffset(tz, y, M, d, h, m, s, mode) {
+    const r = this.#resolveLocal(tz, y, M, d, h, m, s, mode);
+    return r.rejected ? null : formatEpochISO(tz, r.epoch);
+  }
+  #endpoint(tz, y, M, d, h, m, s) {
+    const r = this.#resolveLocal(tz, y, M, d, h, m, s);
+    return {
+      iso: r.rejected ? null : formatEpochISO(tz, r.epoch),
+      epoch: r.rejected ? null : r.epoch,
+      dst: { dstAdjusted: r.dstAdjusted, ambiguous: r.ambiguous }
+    };
+  }
+
+  // Offset changes between the starts of day indexes `from` and `to + 1`, as wall-time segments:
+  // [{ date, kind: 'gap'|'overlap', wallStart (seconds of day), length (seconds) }]
+  #dstTransitions(tz, from, to) {
+    const key = [tz, this.#state.minDate.getTime(), from, to].join('|');
+    if (this.#dstCache?.key === key) return this.#dstCache.list;
+
+    const dayStart = (idx) => { const d = this.#idxToDate(idx); return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()); };
+    const offAt = (min) => offsetMinutes(tz, min * 60000);
+    // Scan in weekly samples (zones never change offset twice within a week), bisect to the minute
+    const first = dayStart(from) / 60000 - 14 * 60, last = dayStart(to + 1) / 60000 + 14 * 60;
+    const list = [];
+    let a = first, offA = offAt(a);
+    while (a < last) {
+      let b = Math.min(a + 7 * 1440, last);
+      const offB = offAt(b);
+      if (offB !== offA) {
+        let lo = a, hi = b;
+        while (hi - lo > 1) { const mid = Math.floor((lo + hi) / 2); if (offAt(mid) === offA) lo = mid; else hi = mid; }
+        const localBefore = new Date((hi + offA) * 60000); // wall clock just before the change
+        const date = new Date(localBefore.getUTCFullYear(), localBefore.getUTCMonth(), localBefore.getUTCDate());
+        const idx = this.#dateToIdx(date);
+        if (idx >= from && idx <= to) {
+          const low = hi + Math.min(offA, offB);
+          list.push({
+            date, kind: offB > offA ? 'gap' : 'overlap',
+            wallStart: (((low % 1440) + 1440) % 1440) * 60, length: Math.abs(offB - offA) * 60
+          });
+        }
+        b = hi;
+      }
+      a = b; offA = offB;
+    }
+
+    this.#dstCache = { key, list };
+    return list;
+  }
+
+  /* ---------- Form value & validity ---------- */
+  #syncFormValue(detail) {
+    if (!this.#ready) return;
+    detail ??= this.#buildDetail();
+    const name = this.getAttribute('name');
+    const state = this.#selectionState(detail);
+
+    if (!name || this.#firstEmptyInput() || !detail.rangeStartDateTimeISO || !detail.rangeEndDateTimeISO) {
+      this.#internals.setFormValue(null, state);
+    } else if (this.getAttribute('form-format') === 'interval') {
+      // Single entry under `name`: ISO 8601 interval "start/end"
+      this.#internals.setFormValue(`${detail.rangeStartDateTimeISO}/${detail.rangeEndDateTimeISO}`, state);
+    } else {
+      const fd = new FormData();
+      fd.append(`${name}[start]`, detail.rangeStartDateTimeISO);
+      fd.append(`${name}[end]`, detail.rangeEndDateTimeISO);
+      fd.append(`${name}[tz]`, detail.timeZone);
+      // Several daily windows: one "HH:MM:SS/HH:MM:SS" entry each
+      if (detail.timeRanges.length > 1) {
+        for (const r of detail.timeRanges) fd.append(`${name}[window]`, `${r.timeStart}/${r.timeEnd}`);
       }
+      if (detail.weekdays.length < 7) fd.append(`${name}[weekdays]`, detail.weekdays.join(','));
+      this.#internals.setFormValue(fd, state);
     }
+    this.#updateValidity(detail);
   }
-  #chooseTimeTickStep(target) {
-    const candidates = [15, 30, 60, 120, 180, 240];
-    let best = candidates[0], bestDiff = Math.abs(1440 / candidates[0] - target);
-    for (const c of candidates) {
-      const diff = Math.abs(1440 / c - target);
-      if (diff < bestDiff) { best = c; bestDiff = diff; }
+
+  // `detail`: the current #buildDetail(), when the caller has it (built here only if needed)
+  #updateValidity(detail) {
+    const E = this.#els, S = this.#state;
+    const flags = {};
+    let message = '', anchor;
+    // First failing constraint provides message and anchor, like native inputs.
+    const fail = (flag, msg, el) => {
+      flags[flag] = true;
+      if (!message) { message = msg; anchor = el; }
+    };
+
+    if (this.#customValidity) fail('customError', this.#customValidity, E.dateStart);
+
+    const empty = this.#firstEmptyInput();
+    if (this.required && empty) fail('valueMissing', this.#msg('valueMissing'), empty);
+
+    if (this.#dstDisambiguation() === 'reject') {
+      detail ??= this.#buildDetail();
+      const bad = !detail.rangeStartDateTimeISO ? [detail.dateStart, E.timeStart]
+        : !detail.rangeEndDateTimeISO ? [detail.dateEnd, E.timeEnd] : null;
+      if (bad) fail('badInput', this.#msg('dstRejected', { date: bad[0], timeZone: S.timeZone }), bad[1]);
     }
-    return best;
+
+    // Span constraints: days are counted inclusively, the time window circularly.
+    const days = S.dateEnd - S.dateStart + 1;
+    const minDays = this.#spanAttr('min-span-days'), maxDays = this.#spanAttr('max-span-days');
+    const dateTooShort = minDays != null && days < minDays;
+    const dateTooLong  = maxDays != null && days > maxDays;
+    if (dateTooShort) fail('tooShort', this.#msg('minSpanDays', { n: minDays }), E.dateThumbStart);
+    if (dateTooLong)  fail('tooLong', this.#msg('maxSpanDays', { n: maxDays }), E.dateThumbEnd);
+
+    // Time span constraints apply to every window
+    const mins = this.#timeWindows().map(w => this.#timeSpanMinutes(w));
+    const minMins = this.#spanAttr('min-time-span'), maxMins = this.#spanAttr('max-time-span');
+    const timeTooShort = minMins != null && Math.min(...mins) < minMins;
+    const timeTooLong  = maxMins != null && Math.max(...mins) > maxMins;
+    if (timeTooShort) fail('tooShort', this.#msg('minTimeSpan', { n: minMins }), E.timeThumbStart);
+    if (timeTooLong)  fail('tooLong', this.#msg('maxTimeSpan', { n: maxMins }), E.timeThumbEnd);
+
+    if (this.#ready) {
+      const dateBad = dateTooShort || dateTooLong, timeBad = timeTooShort || timeTooLong;
+      for (const el of [E.dateStart, E.dateEnd, E.dateTrack]) el.classList.toggle('invalid', dateBad);
+      for (const el of [E.timeStart, E.timeEnd, E.timeTrack]) el.classList.toggle('invalid', timeBad);
+    }
+
+    this.#internals.setValidity(flags, message, anchor);
   }
 
-  /* ---------- Helpers ---------- */
-  #clampAndSyncDates() {
-    const S = this.#state;
-    S.dateStart = this.#snapToStep(this.#clamp(S.dateMin, S.dateMax, S.dateStart), S.dateStepDays);
-    S.dateEnd   = this.#snapToStep(this.#clamp(S.dateMin, S.dateMax, S.dateEnd), S.dateStepDays);
-    if (S.dateStart > S.dateEnd) [S.dateStart, S.dateEnd] = [S.dateEnd, S.dateStart];
+  #spanAttr(name) {
+    const n = parseInt(this.getAttribute(name) ?? '', 10);
+    return Number.isNaN(n) || n < 0 ? null : n;
   }
-  #clampAndSyncTimes() {
+
+  // Native date/time fields can be cleared by the user without touching #state.
+  #firstEmptyInput() {
+    const E = this.#els;
+    return [E.dateStart, E.dateEnd, E.timeStart, E.timeEnd].find(el => el && !el.value) ?? null;
+  }
+
+  // The selection as JSON (times in seconds of day): the saved form state and an undo history entry
+  #selectionState(detail = this.#buildDetail()) {
+    return JSON.stringify({
+      dateStart: detail.dateStart, dateEnd: detail.dateEnd,
+      timeStart: this.#state.timeStart, timeEnd: this.#state.timeEnd,
+      timeZone: detail.timeZone,
+      timeRanges: this.#timeWindows().map(w => [w.start, w.end]),
+      weekdays: detail.weekdays
+    });
+  }
+
+  #restoreFormState(state) {
+    let v;
+    try { v = JSON.parse(state); } catch { return; }
+    if (!v || typeof v !== 'object') return;
     const S = this.#state;
-    S.timeStart = this.#snapToStep(this.#clamp(S.timeMin, S.timeMax, S.timeStart), S.timeStep);
-    S.timeEnd   = this.#snapToStep(this.#clamp(S.timeMin, S.timeMax, S.timeEnd), S.timeStep);
+
+    if (v.timeZone && isValidTimeZone(v.timeZone)) S.timeZone = v.timeZone;
+    if (Array.isArray(v.weekdays)) S.weekdays = parseWeekdays(v.weekdays.join(','));
+
+    const start = coerceDateOnly(v.dateStart);
+    const end = coerceDateOnly(v.dateEnd);
+    if (start && end) {
+      S.dateStart = this.#dateToIdx(start);
+      S.dateEnd   = this.#dateToIdx(end);
+      this.#clampAndSyncDates();
+    }
+
+    if (Number.isFinite(v.timeStart) && Number.isFinite(v.timeEnd)) {
+      S.timeStart = v.timeStart; S.timeEnd = v.timeEnd;
+      S.extraWindows = (Array.isArray(v.timeRanges) ? v.timeRanges.slice(1) : [])
+        .filter(r => Array.isArray(r) && Number.isFinite(r[0]) && Number.isFinite(r[1]))
+        .map(([start, end]) => ({ start, end }));
+      this.#clampAndSyncTimes();
+    }
   }
 
-  #snapToStep(value, step) { return Math.round(value / step) * step; }
-  #clamp(min, max, v) { return Math.max(min, Math.min(max, v)); }
+  /* ---------- Occurrences ---------- */
+  // One entry per included day and time window, in chronological order of their starts.
+  #occurrences(limit) {
+    const S = this.#state, tz = S.timeZone;
+    const windows = this.#timeWindows().sort((a, b) => a.start - b.start);
+    const mask = this.#weekdayMask();
+    const max = Math.max(0, Math.floor(limit));
+    const out = [];
+    // Continuous mode: the single interval is the only occurrence
+    const continuous = this.#isContinuous();
+    const last = continuous ? S.dateStart : S.dateEnd;
+
+    for (let i = S.dateStart; i <= last && out.length < max; i++) {
+      const d = this.#idxToDate(i);
+      if (!mask.includes(this.#isoWeekday(d))) continue;
+      for (const w of windows) {
+        if (out.length >= max) break;
+        const [sH, sM, sS] = secondsToHMS(w.start);
+        const [eH, eM, eS] = secondsToHMS(w.end); // 24:00 resolves to the next day's 00:00
+        const e = this.#idxToDate(continuous ? S.dateEnd : w.end < w.start ? i + 1 : i);
+        const start = this.#endpoint(tz, d.getFullYear(), d.getMonth()+1, d.getDate(), sH, sM, sS);
+        const end = this.#endpoint(tz, e.getFullYear(), e.getMonth()+1, e.getDate(), eH, eM, eS);
+        out.push({
+          date: formatDateISO(d),
+          start: start.iso, end: end.iso,
+          startDST: start.dst, endDST: end.dst
+        });
+      }
+    }
+    return out;
+  }
 
-  #todayLocal() { const n=new Date(); return new Date(n.getFullYear(), n.getMonth(), n.getDate()); }
-  #coerceDateOnly(v) {
-    if (v instanceof Date) return new Date(v.getFullYear(), v.getMonth(), v.getDate());
-    if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v)) { const [y,m,d]=v.split('-').map(Number); return new Date(y, m-1, d); }
-    return null;
+  // Exact elapsed time (DST-aware), e.g. { durationMinutes: 1950, duration: 'PT32H30M' };
+  // durationMinutes is fractional below a minute ('PT1H0M30S')
+  #duration(startEpoch, endEpoch) {
+    if (startEpoch == null || endEpoch == null) return { durationMinutes: null, duration: null };
+    const secs = Math.round((endEpoch - startEpoch) / 1000);
+    const [h, m, s] = secondsToHMS(Math.abs(secs));
+    const iso = (secs < 0 ? '-' : '') + 'PT' + (h ? `${h}H` : '') + (m || s || !h ? `${m}M` : '') + (s ? `${s}S` : '');
+    return { durationMinutes: secs / 60, duration: iso };
   }
-  #fmtDateISO(d) { const y=d.getFullYear(), m=String(d.getMonth()+1).padStart(2,'0'), day=String(d.getDate()).padStart(2,'0'); return `${y}-${m}-${day}`; }
-  #fmtHHMMSS(min) { const h=Math.floor(min/60), m=min%60; return `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:00`; }
-  #minToHMS(min) { const h=Math.floor(min/60), m=min%60, s=0; return [h,m,s]; }
-  #daysBetween(a, b) {
-    const MS=86400000;
-    const ad=new Date(a.getFullYear(), a.getMonth(), a.getDate()).getTime();
-    const bd=new Date(b.getFullYear(), b.getMonth(), b.getDate()).getTime();
-    return Math.round((bd - ad)/MS);
+
+  /* ---------- Serialization: ISO 8601 intervals and iCalendar RRULE ---------- */
+  // Both describe the first time window; only the RRULE carries the weekday filter.
+  #toISOInterval() {
+    if (!this.#ready) return '';
+    const S = this.#state, tz = S.timeZone;
+    const continuous = this.#isContinuous();
+    // First occurrence: dateStart, ending on dateEnd (continuous) or after the daily window
+    const d = this.#idxToDate(S.dateStart);
+    const e = this.#idxToDate(continuous ? S.dateEnd : S.timeEnd < S.timeStart ? S.dateStart + 1 : S.dateStart);
+    const [sH, sM, sS] = secondsToHMS(S.timeStart), [eH, eM, eS] = secondsToHMS(S.timeEnd);
+    const start = this.#endpoint(tz, d.getFullYear(), d.getMonth() + 1, d.getDate(), sH, sM, sS).iso;
+    const end = this.#endpoint(tz, e.getFullYear(), e.getMonth() + 1, e.getDate(), eH, eM, eS).iso;
+    if (!start || !end) return '';
+    const short = (iso) => iso.replace(/T(\d{2}:\d{2}):00(?=[+-])/, 'T$1'); // drop ":00" seconds
+    const days = S.dateEnd - S.dateStart + 1;
+    return (!continuous && days > 1 ? `R${days}/` : '') + `${short(start)}/${short(end)}`;
   }
-  #dateToIdx(d) { return this.#daysBetween(this.#state.minDate, d); }
-  #idxToDate(idx) { const d=new Date(this.#state.minDate); d.setDate(d.getDate()+idx); return d; }
 
-  /* ---------- Time Zone math (no libs) ---------- */
-  #getOffsetMinutes(tz, epochMs) {
-    const d = new Date(epochMs);
-    const fmt = new Intl.DateTimeFormat('en-US', {
-      timeZone: tz, hour12: false,
-      year: 'numeric', month: '2-digit', day: '2-digit',
-      hour: '2-digit', minute: '2-digit', second: '2-digit'
-    });
-    const parts = Object.fromEntries(fmt.formatToParts(d).map(p => [p.type, p.value]));
-    const asUTCms = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
-    return (asUTCms - epochMs) / 60000;
-  }
-  #localToEpoch(tz, y, M, d, h, m, s) {
-    let guess = Date.UTC(y, M - 1, d, h, m, s);
-    let off = this.#getOffsetMinutes(tz, guess);
-    let epoch = guess - off * 60000;
-    for (let i=0;i<4;i++){ const noff=this.#getOffsetMinutes(tz, epoch); if (noff===off) break; off=noff; epoch=guess - off*60000; }
-    const fmt = new Intl.DateTimeFormat('en-US',{timeZone:tz,hour12:false,year:'numeric',month:'2-digit',day:'2-digit',hour:'2-digit',minute:'2-digit',second:'2-digit'});
-    const parts = Object.fromEntries(fmt.formatToParts(new Date(epoch)).map(p=>[p.type,p.value]));
-    const ok=(+parts.year===y)&&(+parts.month===M)&&(+parts.day===d)&&(+parts.hour===h)&&(+parts.minute===m)&&(+parts.second===s);
-    if (!ok) epoch += 3600000;
-    return epoch;
-  }
-  #toISOWithOffset(tz, y, M, d, h, m, s) {
-    const epoch = this.#localToEpoch(tz, y, M, d, h, m, s);
-    const off = this.#getOffsetMinutes(tz, epoch);
-    const sign = off >= 0 ? '+' : '-';
-    const abs = Math.abs(off);
-    const oh = String(Math.floor(abs / 60)).padStart(2,'0');
-    const om = String(abs % 60).padStart(2,'0');
-    const YYYY=String(y).padStart(4,'0'), MM=String(M).padStart(2,'0'), DD=String(d).padStart(2,'0');
-    const HH=String(h).padStart(2,'0'), MI=String(m).padStart(2,'0'), SS=String(s).padStart(2,'0');
-    return `${YYYY}-${MM}-${DD}T${HH}:${MI}:${SS}${sign}${oh}:${om}`;
+  #fromISOInterval(text) {
+    if (!this.#ready) return false;
+    const spec = this.#readISOInterval(text);
+    if (!spec) return false;
+    this.#applySerialized(spec);
+    this.#renderAll();
+    this.#emit('change');
+    return true;
+  }
+  #readISOInterval(text) { return readISOInterval(text, this.#state.timeZone); }
+
+  #toRRule() {
+    if (!this.#ready) return '';
+    const S = this.#state, tz = S.timeZone;
+    const continuous = this.#isContinuous(), mask = this.#weekdayMask();
+    // DTSTART is the first included day
+    let first = S.dateStart;
+    while (first < S.dateEnd && !mask.includes(this.#isoWeekday(this.#idxToDate(first)))) first++;
+    const e = continuous ? S.dateEnd : S.timeEnd < S.timeStart ? first + 1 : first;
+    // Day index and seconds of day → "YYYYMMDDTHHMMSS"; 24:00 is written as the next day's 00:00
+    const local = (idx, sec) => formatDateISO(this.#idxToDate(idx + Math.floor(sec / DAY_SECONDS))).replaceAll('-', '')
+      + 'T' + formatHHMMSS(sec % DAY_SECONDS).replaceAll(':', '');
+
+    const lines = [`DTSTART;TZID=${tz}:${local(first, S.timeStart)}`, `DTEND;TZID=${tz}:${local(e, S.timeEnd)}`];
+    if (!continuous && S.dateEnd > first) {
+      // UNTIL is the UTC start of the last occurrence (RFC 5545: UTC when DTSTART has a TZID)
+      const last = this.#idxToDate(S.dateEnd);
+      const [h, m, s] = secondsToHMS(S.timeStart);
+      const until = this.#resolveLocal(tz, last.getFullYear(), last.getMonth() + 1, last.getDate(), h, m, s, 'compatible').epoch;
+      const rule = ['FREQ=DAILY', `UNTIL=${new Date(until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`];
+      if (mask.length < 7) rule.push(`BYDAY=${mask.map(day => ICAL_WEEKDAYS[day - 1]).join(',')}`);
+      lines.push(`RRULE:${rule.join(';')}`);
+    }
+    return lines.join('\r\n');
+  }
+
+  // Supports DTSTART with TZID, UTC or floating times, DTEND or DURATION, and
+  // RRULE:FREQ=DAILY with UNTIL or COUNT and optional BYDAY.
+  #fromRRule(text) {
+    if (!this.#ready) return false;
+    const props = {};
+    for (const line of String(text ?? '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) { // unfold (RFC 5545 §3.1)
+      const m = line.trim().match(/^([A-Za-z-]+)((?:;[^:;]+)*):(.+)$/);
+      if (!m) continue;
+      const params = Object.fromEntries(m[2].split(';').filter(Boolean).map(p => p.split('=')));
+      props[m[1].toUpperCase()] = { params, value: m[3].trim() };
+    }
+    if (!props.DTSTART) return false;
+
+    const tzid = props.DTSTART.params.TZID;
+    if (tzid && !isValidTimeZone(tzid)) return false;
+    const tz = tzid ?? this.#state.timeZone;
+    const start = this.#parseICalDateTime(props.DTSTART, tz);
+    if (!start) return false;
+
+    let end = start;
+    if (props.DTEND) end = this.#parseICalDateTime(props.DTEND, tz);
+    else if (props.DURATION) {
+      const m = props.DURATION.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+      if (!m) return false;
+      const [w, d, h, mi, sec] = m.slice(1, 6).map(n => +(n ?? 0));
+      end = partsInZone(tz, start.epoch + ((((w * 7 + d) * 24 + h) * 60 + mi) * 60 + sec) * 1000);
+    }
+    if (!end) return false;
+
+    let lastDate = start.date, weekdays = [...ALL_WEEKDAYS];
+    if (props.RRULE) {
+      const rule = Object.fromEntries(props.RRULE.value.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+      if (rule.FREQ?.toUpperCase() !== 'DAILY' || (rule.INTERVAL && rule.INTERVAL !== '1')) return false;
+      if (rule.BYDAY) {
+        weekdays = rule.BYDAY.toUpperCase().split(',').map(c => ICAL_WEEKDAYS.indexOf(c) + 1);
+        if (weekdays.includes(0)) return false;
+        weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+      }
+      if (rule.UNTIL) {
+        const until = this.#parseICalDateTime({ params: {}, value: rule.UNTIL }, tz);
+        if (!until) return false;
+        lastDate = new Date(until.date);
+        if (until.hasTime && until.seconds < start.seconds) lastDate.setDate(lastDate.getDate() - 1);
+      } else if (rule.COUNT) {
+        // COUNT counts occurrences, i.e. only days matching BYDAY
+        let n = Math.max(1, parseInt(rule.COUNT, 10) || 1);
+        const d = new Date(start.date);
+        for (;;) {
+          if (weekdays.includes(this.#isoWeekday(d)) && --n === 0) break;
+          d.setDate(d.getDate() + 1);
+        }
+        lastDate = d;
+      }
+    }
+
+    this.#applySerialized({ timeZone: tz, start, end, lastDate, weekdays });
+    this.#renderAll();
+    this.#emit('change');
+    return true;
+  }
+
+  // iCalendar DATE-TIME ("20260201T220000", "…Z", TZID param) or DATE, expressed in `tz`
+  #parseICalDateTime(prop, tz) {
+    const m = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+    const [y, M, d, h, mi, s] = m.slice(1, 7).map(n => +(n ?? 0));
+    if (m[7]) return partsInZone(tz, Date.UTC(y, M - 1, d, h, mi, s));
+    const zone = prop.params.TZID ?? tz;
+    if (zone !== tz) {
+      if (!isValidTimeZone(zone)) return null;
+      return partsInZone(tz, this.#localToEpoch(zone, y, M, d, h, mi, s));
+    }
+    return { ...this.#wallParts(tz, y, M, d, h, mi, s), hasTime: m[4] != null };
+  }
+
+  #wallParts(tz, y, M, d, h, mi, s) {
+    return { date: new Date(y, M - 1, d), seconds: h * 3600 + mi * 60 + s, epoch: this.#localToEpoch(tz, y, M, d, h, mi, s), hasTime: true };
+  }
+
+  // Daily mode: start.date … lastDate with the window start.seconds → end.seconds;
+  // continuous mode: start → end as one interval.
+  #applySerialized({ timeZone, start, end, lastDate, weekdays }) {
+    const S = this.#state;
+    if (timeZone) S.timeZone = timeZone;
+    if (weekdays) S.weekdays = weekdays;
+    S.dateStart = this.#dateToIdx(start.date);
+    S.dateEnd = this.#dateToIdx(this.#isContinuous() ? end.date : lastDate);
+    S.timeStart = start.seconds; S.timeEnd = end.seconds;
+    S.extraWindows = [];
+    this.#clampAndSyncDates(); this.#clampAndSyncTimes();
+  }
+
+  // Committed selection → the selection attributes the author declared; undeclared ones stay absent
+  #reflectSelection(detail) {
+    const reflect = (name, value) => { if (this.#declared[name] != null) this.setAttribute(name, value()); };
+    this.#reflecting = true;
+    try {
+      reflect('start-date', () => detail.dateStart);
+      reflect('end-date', () => detail.dateEnd);
+      reflect('start-time', () => formatTimeAttr(this.#state.timeStart));
+      reflect('end-time', () => formatTimeAttr(this.#state.timeEnd));
+      reflect('value', () => this.#toISOInterval());
+    } finally {
+      this.#reflecting = false;
+    }
   }
 
   /* ---------- Event emitter ---------- */
-  #emit(type) {
+  // `historyGroup`: consecutive commits of one group are a single undo step (see #recordHistory)
+  #emit(type, { historyGroup = null } = {}) {
+    // Overlapping time windows merge once a change is committed
+    if (type === 'change' && this.#state.extraWindows.length) {
+      this.#setTimeWindows(this.#timeWindows());
+      this.#renderTime();
+    }
+    const detail = this.#buildDetail();
+    this.#syncFormValue(detail);
+    if (type === 'change') { this.#announce(detail); this.#reflectSelection(detail); this.#writePersisted(); }
+    this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail }));
+    if (type === 'change') this.#recordHistory(this.#selectionState(detail), historyGroup);
+  }
+
+  /* ---------- Persistence ---------- */
+  // `persist="url|local|session"` writes the committed selection to the query parameter or storage key
+  // `persist-key` (default "range") and reads it back before the first render, on history navigation
+  // and when another tab writes it. Format: "2026-02-01/2026-02-28/22:00-06:00[,…]/1,2,3,4,5/Europe/Berlin"
+  // (dates, time windows, weekdays; the zone is the rest).
+  #persistMode() {
+    const mode = this.getAttribute('persist');
+    return ['url', 'local', 'session'].includes(mode) ? mode : null;
+  }
+  #persistKey() { return this.getAttribute('persist-key') || 'range'; }
+  #persistStorage(mode) {
+    try { return mode === 'local' ? localStorage : sessionStorage; } catch { return null; } // blocked storage
+  }
+
+  #readPersisted() {
+    const mode = this.#persistMode(), key = this.#persistKey();
+    if (!mode) return null;
+    if (mode === 'url') return new URLSearchParams(location.search).get(key);
+    try { return this.#persistStorage(mode)?.getItem(key) ?? null; } catch { return null; }
+  }
+
+  #writePersisted() {
+    const mode = this.#persistMode(), key = this.#persistKey();
+    const value = this.#persistedValue();
+    if (!mode || value === this.#readPersisted()) return;
+    if (mode === 'url') {
+      const url = new URL(location.href);
+      url.searchParams.set(key, value);
+      // "/", ":" and "," are fine in a query; keep shared links readable
+      url.search = url.searchParams.toString().replace(/%2F/gi, '/').replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+      // A new history entry per commit, so back/forward step through selections; following one only normalizes it
+      if (this.#followingPersisted) history.replaceState(history.state, '', url);
+      else history.pushState(history.state, '', url);
+    } else {
+      try { this.#persistStorage(mode)?.setItem(key, value); } catch {} // quota exceeded, blocked storage
+    }
+  }
+
+  #persistedValue() {
+    const S = this.#state;
+    const day = (idx) => formatDateISO(this.#idxToDate(idx));
+    const times = this.#timeWindows().map(w => `${formatTimeAttr(w.start)}-${formatTimeAttr(w.end)}`).join(',');
+    return [day(S.dateStart), day(S.dateEnd), times, S.weekdays.join(','), S.timeZone].join('/');
+  }
+
+  // Applied only as a whole: valid zone and times, dates within min-date/max-date. Returns whether it was.
+  #restorePersisted(text) {
+    const [from, to, times, weekdays, ...zone] = String(text ?? '').split('/');
+    const S = this.#state, tz = zone.join('/');
+    const start = coerceDateOnly(from), end = coerceDateOnly(to);
+    const windows = String(times ?? '').split(',').map(w => w.split('-').map(parseTimeOfDay));
+    if (!start || !end || !isValidTimeZone(tz)) return false;
+    if (windows.some(w => w.length !== 2 || w.includes(null))) return false;
+    const first = this.#dateToIdx(start), last = this.#dateToIdx(end);
+    if (first > last || first < S.dateMin || last > S.dateMax) return false;
+
+    S.timeZone = tz;
+    S.weekdays = parseWeekdays(weekdays);
+    S.dateStart = first; S.dateEnd = last;
+    this.#clampAndSyncDates();
+    this.#setTimeWindows(windows.map(([start, end]) => ({ start, end })));
+    this.#clampAndSyncTimes();
+    return true;
+  }
+
+  #watchPersisted(on) {
+    const method = on ? 'addEventListener' : 'removeEventListener';
+    window[method]('popstate', this.#onPersistedChange);
+    window[method]('storage', this.#onPersistedChange);
+  }
+  #onPersistedChange = (ev) => {
+    const mode = this.#persistMode();
+    if (!this.#ready || !mode) return;
+    if (ev.type === 'popstate' ? mode !== 'url'
+      : mode === 'url' || ev.key !== this.#persistKey() || ev.storageArea !== this.#persistStorage(mode)) return;
+    const value = this.#readPersisted();
+    if (value == null || value === this.#persistedValue() || !this.#restorePersisted(value)) return;
+    this.#renderAll();
+    this.#followingPersisted = true;
+    try {
+      this.#emit('change');
+    } finally {
+      this.#followingPersisted = false;
+    }
+  };
+
+  /* ---------- Undo / redo ---------- */
+  // A new entry drops the redo branch; entries beyond HISTORY_LIMIT are forgotten oldest first.
+  // A commit of the same group as the newest entry (key presses on one control) replaces it.
+  #recordHistory(entry, group = null) {
+    if (this.#travelling || entry === this.#history[this.#historyIndex]) return;
+    const merge = group != null && group === this.#historyGroup && this.#historyIndex > 0 && !this.canRedo;
+    this.#historyGroup = group;
+    if (merge) { this.#history[this.#historyIndex] = entry; return; }
+    this.#history.splice(this.#historyIndex + 1, Infinity, entry);
+    if (this.#history.length > HISTORY_LIMIT) this.#history.shift();
+    this.#historyIndex = this.#history.length - 1;
+    this.#emitHistoryChange();
+  }
+
+  #travel(step) {
+    this.#commitPendingClick?.(); // a pending click is the newest entry, not lost to the undo
+    const index = this.#historyIndex + step;
+    if (!this.#ready || index < 0 || index >= this.#history.length) return false;
+    this.#historyIndex = index;
+    this.#historyGroup = null;
+    this.#travelling = true;
+    try {
+      this.#restoreFormState(this.#history[index]);
+      this.#renderAll();
+      this.#emit('change');
+    } finally {
+      this.#travelling = false;
+    }
+    this.#emitHistoryChange();
+    return true;
+  }
+
+  #emitHistoryChange() {
+    const detail = { canUndo: this.canUndo, canRedo: this.canRedo };
+    this.dispatchEvent(new CustomEvent('historychange', { bubbles: true, composed: true, detail }));
+  }
+
+  // Blackouts inside the selection: disabled days (on the filtered weekdays), disabled spans a window touches
+  #blackoutDetail() {
+    const S = this.#state;
+    const days = disabledDaysIn(S, S.dateStart, S.dateEnd, this.#weekdayMask());
+    const spans = disabledTimesIn(S, this.#selectedTimesOfDay());
+    return {
+      includesBlackout: days.length > 0 || spans.length > 0,
+      blackoutDates: days.map(i => formatDateISO(this.#idxToDate(i))),
+      blackoutTimes: spans.map(w => ({ timeStart: formatHHMMSS(w.start), timeEnd: formatHHMMSS(w.end), timeStartMinutes: w.start / 60, timeEndMinutes: w.end / 60 }))
+    };
+  }
+
+  // Totals of the histograms that are set, inside the selection
+  #histogramDetail() {
     const S = this.#state;
+    return {
+      ...(this.#dateHistogram && { dateHistogramTotal: dateHistogramTotal(S, this.#dateHistogram, this.#weekdayMask()) }),
+      ...(this.#timeHistogram && { timeHistogramTotal: timeHistogramTotal(this.#timeHistogram, this.#selectedTimesOfDay()) })
+    };
+  }
+
+  // Times of day the selection covers: the daily windows, or in continuous mode the span (all day from 24 hours on)
+  #selectedTimesOfDay() {
+    const S = this.#state;
+    if (!this.#isContinuous()) return this.#timeWindows();
+    const seconds = (S.dateEnd - S.dateStart) * DAY_SECONDS + S.timeEnd - S.timeStart;
+    return seconds >= DAY_SECONDS ? [{ start: 0, end: DAY_SECONDS }] : [{ start: S.timeStart, end: S.timeEnd }];
+  }
+
+  // Range endpoints (rangeStart/EndDateTimeISO): timeStart on dateStart, timeEnd on dateEnd (continuous)
+  // or at the end of the last day's window — not the first occurrence (see #toISOInterval)
+  #rangeEndpoints() {
+    const S = this.#state, tz = S.timeZone;
     const dS = this.#idxToDate(S.dateStart);
-    const dE = this.#idxToDate(S.dateEnd);
-    const [sH,sM,sS] = this.#minToHMS(S.timeStart);
-    const [eH,eM,eS] = this.#minToHMS(S.timeEnd);
+    const endDateForRange = this.#idxToDate(this.#isContinuous() ? S.dateEnd : S.timeEnd < S.timeStart ? S.dateEnd + 1 : S.dateEnd);
+    const [sH,sM,sS] = secondsToHMS(S.timeStart);
+    const [eH,eM,eS] = secondsToHMS(S.timeEnd); // 24:00 (exclusive end) resolves to the next day's 00:00
+    return [
+      this.#endpoint(tz, dS.getFullYear(), dS.getMonth()+1, dS.getDate(), sH, sM, sS),
+      this.#endpoint(tz, endDateForRange.getFullYear(), endDateForRange.getMonth()+1, endDateForRange.getDate(), eH, eM, eS)
+    ];
+  }
+
+  // The range endpoints in the display-tz zone (see #renderDisplayZone)
+  #displayZoneDetail([startEP, endEP]) {
+    const zone = this.#displayZone();
+    if (!zone) return {};
+    const iso = (ep) => (ep.epoch == null ? null : formatEpochISO(zone, ep.epoch));
+    return { displayTimeZone: zone, displayStartDateTimeISO: iso(startEP), displayEndDateTimeISO: iso(endEP) };
+  }
+
+  #buildDetail() {
+    const S = this.#state;
     const tz = S.timeZone;
-    const crossesMidnight = S.timeEnd < S.timeStart;
-
-    const dateStartISO = this.#fmtDateISO(dS);
-    const dateEndISO   = this.#fmtDateISO(dE);
-    const timeStartISO = `${String(sH).padStart(2,'0')}:${String(sM).padStart(2,'0')}:${String(sS).padStart(2,'0')}`;
-    const timeEndISO   = `${String(eH).padStart(2,'0')}:${String(eM).padStart(2,'0')}:${String(eS).padStart(2,'0')}`;
-
-    const endDateForRange = new Date(dE);
-    if (crossesMidnight) endDateForRange.setDate(endDateForRange.getDate() + 1);
-
-    const startDTISO = this.#toISOWithOffset(tz, dS.getFullYear(), dS.getMonth()+1, dS.getDate(), sH, sM, sS);
-    const endDTISO   = this.#toISOWithOffset(tz, endDateForRange.getFullYear(), endDateForRange.getMonth()+1, endDateForRange.getDate(), eH, eM, eS);
-
-    this.dispatchEvent(new CustomEvent(type, {
-      bubbles: true, composed: true,
-      detail: {
-        dateStart: dateStartISO, dateEnd: dateEndISO,
-        timeStart: timeStartISO, timeEnd: timeEndISO,
-        timeZone: tz, crossesMidnight,
-        timeStartMinutes: S.timeStart, timeEndMinutes: S.timeEnd,
-        rangeStartDateTimeISO: startDTISO, rangeEndDateTimeISO: endDTISO
+    const continuous = this.#isContinuous();
+    const crossesMidnight = continuous ? S.dateEnd > S.dateStart : S.timeEnd < S.timeStart;
+
+    const dateStartISO = formatDateISO(this.#idxToDate(S.dateStart));
+    const dateEndISO   = formatDateISO(this.#idxToDate(S.dateEnd));
+    const timeStartISO = formatHHMMSS(S.timeStart);
+    const timeEndISO   = formatHHMMSS(S.timeEnd);
+
+    const endpoints = this.#rangeEndpoints();
+    const [startEP, endEP] = endpoints;
+
+    return {
+      dateStart: dateStartISO, dateEnd: dateEndISO,
+      timeStart: timeStartISO, timeEnd: timeEndISO,
+      timeZone: tz, crossesMidnight,
+      timeStartMinutes: S.timeStart / 60, timeEndMinutes: S.timeEnd / 60,
+      // Every daily window (max-windows > 1); the first equals timeStart/timeEnd above
+      timeRanges: this.#timeWindows().map(w => ({
+        timeStart: formatHHMMSS(w.start), timeEnd: formatHHMMSS(w.end),
+        timeStartMinutes: w.start / 60, timeEndMinutes: w.end / 60,
+        crossesMidnight: continuous ? crossesMidnight : w.end < w.start
+      })),
+      weekdays: this.#weekdayMask(),
+      ...this.#blackoutDetail(),
+      ...this.#histogramDetail(),
+      rangeStartDateTimeISO: startEP.iso, rangeEndDateTimeISO: endEP.iso,
+      rangeStartDST: startEP.dst, rangeEndDST: endEP.dst,
+      ...this.#displayZoneDetail(endpoints),
+      mode: continuous ? 'continuous' : 'daily',
+      ...(continuous && this.#duration(startEP.epoch, endEP.epoch)),
+      preset: this.#activePreset()?.id ?? null,
+      // Opt-in: `occurrences` attribute, optionally with a maximum count (default 366)
+      ...(this.hasAttribute('occurrences') && {
+        occurrences: this.#occurrences(parseInt(this.getAttribute('occurrences'), 10) || 366)
+      })
+    };
+  }
+}
+
+/* ---------- Server-side rendering ---------- */
+// Markup of a picker with the given attributes (same names as on the element) as a declarative shadow root:
+//   `<date-and-daytime-range-picker …>${renderShadowRootHTML({ … })}</date-and-daytime-range-picker>`
+// Covers time zone, dates, times, ticks and the weekday filter; presets, the calendar, DST marks,
+// additional time windows and the display-tz zone are rendered by the element once it hydrates. Needs no DOM.
+export function renderShadowRootHTML(attributes = {}) {
+  const attr = (name) => attributes[name] == null ? null : String(attributes[name]);
+  const msg = (key, params = {}) => DEFAULT_MESSAGES[key].replace(/\{(\w+)\}/g, (m, k) => (k in params ? String(params[k]) : m));
+  let locale;
+  try { locale = Intl.getCanonicalLocales(attr('locale') || [])[0]; } catch {}
+  locale ??= new Intl.DateTimeFormat().resolvedOptions().locale;
+  const tz = attr('default-tz') || systemTimeZone(); // the server's zone; the element keeps it when hydrating
+  const continuous = attr('mode') === 'continuous';
+
+  // Selection, as the element initializes it
+  const options = { continuous, maxWindows: 1 };
+  const weekdays = attr('weekdays') != null && !continuous ? parseWeekdays(attr('weekdays')) : ALL_WEEKDAYS;
+  const unit = attr('time-precision') === 'second' ? 1 : 60;
+  let S = createState({
+    minDate: attr('min-date'), maxDate: attr('max-date'), timeZone: tz, weekdays,
+    dateStepDays: parseInt(attr('date-step-days') ?? '1', 10) || 1,
+    timeStep: (parseInt(attr('time-step') ?? '', 10) || (unit === 1 ? 1 : 15)) * unit,
+    timeMax: attr('time-end-bound') === 'exclusive' ? DAY_SECONDS : DAY_SECONDS - unit
+  });
+  const spec = attr('value') != null ? readISOInterval(attr('value'), tz) : null;
+  if (spec) {
+    S.dateStart = daysBetween(S.minDate, spec.start.date);
+    S.dateEnd = daysBetween(S.minDate, continuous ? spec.end.date : spec.lastDate);
+    S.timeStart = spec.start.seconds; S.timeEnd = spec.end.seconds;
+  } else {
+    const ds = coerceDateOnly(attr('start-date')), de = coerceDateOnly(attr('end-date'));
+    if (ds) S.dateStart = daysBetween(S.minDate, ds);
+    if (de) S.dateEnd = daysBetween(S.minDate, de);
+    S.timeStart = parseTimeOfDay(attr('start-time')) ?? S.timeStart;
+    S.timeEnd = parseTimeOfDay(attr('end-time')) ?? S.timeEnd;
+  }
+  S = clampTimes(clampDates(S, options), options);
+  const { minDate, dateMax, dateStart, dateEnd, dateStepDays: dateStep, timeStart, timeEnd, timeStep, timeMax } = S;
+  const dayAt = (idx) => { const d = new Date(minDate); d.setDate(d.getDate() + idx); return d; };
+
+  // Patch the built-in markup by element id
+  let html = TEMPLATE_MARKUP;
+  const setAttrs = (id, attrs) => {
+    html = html.replace(new RegExp(`<([a-z]+)(\\s[^>]*?\\bid="${id}"[^>]*?)(\\s*/?)>`), (tag, name, rest, end) => {
+      for (const [key, value] of Object.entries(attrs)) {
+        rest = rest.replace(new RegExp(`\\s${key}(="[^"]*")?(?=[\\s/>]|$)`), '');
+        if (value === true) rest += ` ${key}`;
+        else if (value !== false && value != null) rest += ` ${key}="${escapeHTML(value)}"`;
       }
-    }));
+      return `<${name}${rest}${end}>`;
+    });
+  };
+  const setContent = (id, content) => {
+    html = html.replace(new RegExp(`(<([a-z]+)\\s[^>]*?\\bid="${id}"[^>]*>)(</\\2>)`), (tag, open, name, close) => open + content + close);
+  };
+  const fill = (left, right) => `--fill-left: ${(left * 100).toFixed(4)}%; --fill-scale: ${Math.max(0, right - left).toFixed(4)}`;
+  const ticks = (list) => [
+    list.map(t => `<div class="tick${t.strong ? ' strong' : ''}" style="left: ${(t.pct * 100).toFixed(4)}%"></div>`).join(''),
+    list.filter(t => t.label != null).map(t => `<div class="tick-label" style="left: ${(t.pct * 100).toFixed(4)}%">${escapeHTML(t.label)}</div>`).join('')
+  ];
+
+  // Time zone
+  const first = dayAt(dateStart), [h, m, s] = secondsToHMS(timeStart);
+  const offset = formatEpochISO(tz, resolveLocal(tz, first.getFullYear(), first.getMonth() + 1, first.getDate(), h, m, s).epoch).slice(-6);
+  setAttrs('tzInput', { value: tz });
+  setAttrs('tzOffsetPreview', { value: msg('offsetPreview', { timeZone: tz, offset }) });
+
+  // Dates
+  const dateMid = Math.round(dateWindowCenter(S));
+  const startDateText = formatDateLong(dayAt(dateStart), locale), endDateText = formatDateLong(dayAt(dateEnd), locale);
+  let dateText = msg('range', { start: startDateText, end: endDateText });
+  if (weekdays.length < 7) {
+    const days = new Intl.ListFormat(locale, { type: 'conjunction' }).format(weekdays.map(d => weekdayName(d, 'long', locale)));
+    dateText = msg('weekdaysOnly', { dates: dateText, days });
+  }
+  setAttrs('dateStart', { value: formatDateISO(dayAt(dateStart)) });
+  setAttrs('dateEnd', { value: formatDateISO(dayAt(dateEnd)) });
+  for (const [id, value, text] of [['dateThumbStart', dateStart, startDateText], ['dateThumbEnd', dateEnd, endDateText], ['dateThumbCenter', dateMid]]) {
+    setAttrs(id, { min: 0, max: dateMax, step: dateStep, value, 'aria-valuetext': text });
+  }
+  setAttrs('dateFill', { style: fill(dateStart / (dateMax || 1), dateEnd / (dateMax || 1)) });
+  setAttrs('dateTrack', { 'aria-valuemin': 0, 'aria-valuemax': dateMax, 'aria-valuenow': dateMid, 'aria-valuetext': dateText });
+  const [dateTicks, dateLabels] = ticks(buildDateTicks({ minDate, totalDays: dateMax, locale }));
+  setContent('dateTicks', dateTicks);
+  setContent('dateTickLabels', dateLabels);
+  const span = (a, b) => `left: ${(a / (dateMax || 1) * 100).toFixed(4)}%; width: ${((b - a) / (dateMax || 1) * 100).toFixed(4)}%`;
+  setAttrs('dateOverviewSelection', { style: span(dateStart, dateEnd) });
+  setAttrs('dateOverviewViewport', { style: span(0, dateMax) });
+
+  // Weekday filter
+  if (attr('weekdays') != null && !continuous) {
+    const firstDay = firstDayOfWeek(locale);
+    const buttons = ALL_WEEKDAYS.map((_, i) => (firstDay - 1 + i) % 7 + 1).map(iso =>
+      `<button type="button" class="weekday-toggle" part="weekday" data-weekday="${iso}" aria-pressed="${weekdays.includes(iso)}"` +
+      ` aria-label="${escapeHTML(weekdayName(iso, 'long', locale))}">${escapeHTML(weekdayName(iso, 'short', locale))}</button>`);
+    setAttrs('weekdaysGroup', { hidden: false });
+    setAttrs('weekdays', { 'data-key': `${locale}|${firstDay}` });
+    setContent('weekdays', buttons.join(''));
+  }
+
+  // Times
+  const wraps = timeEnd < timeStart;
+  const timeMid = Math.round(timeWindowCenter(S));
+  const formatTime = (t) => formatTimeOfDay(t, locale, unit === 1 || t % 60 !== 0);
+  const startTimeText = formatTime(timeStart);
+  let endTimeText = formatTime(timeEnd);
+  let timeText = msg('range', { start: startTimeText, end: endTimeText });
+  if (wraps && !continuous) {
+    endTimeText = msg('wrapsPastMidnight', { time: endTimeText });
+    timeText = msg('wrapsPastMidnight', { time: timeText });
+  }
+  setAttrs('timeStart', { value: formatHHMMSS(timeStart), step: timeStep });
+  setAttrs('timeEnd', { value: formatHHMMSS(timeEnd % DAY_SECONDS), step: timeStep });
+  for (const [id, value, text] of [['timeThumbStart', timeStart, startTimeText], ['timeThumbEnd', timeEnd, endTimeText], ['timeThumbCenter', timeMid]]) {
+    setAttrs(id, { min: 0, max: timeMax, step: timeStep, value, 'aria-valuetext': text });
   }
+  setAttrs('timeFillA', { style: wraps ? fill(timeStart / timeMax, 1) : fill(timeStart / timeMax, timeEnd / timeMax) });
+  setAttrs('timeFillB', wraps ? { class: 'fill', style: fill(0, timeEnd / timeMax) } : {});
+  setAttrs('timeTrack', { 'aria-valuemin': 0, 'aria-valuemax': timeMax, 'aria-valuenow': timeMid, 'aria-valuetext': timeText });
+  const [timeTicks, timeLabels] = ticks(buildTimeTicks({ locale, timeMax }));
+  setContent('timeTicks', timeTicks);
+  setContent('timeTickLabels', timeLabels);
+
+  return `<template shadowrootmode="open"><style>${TEMPLATE_STYLES}</style>${html}</template>`;
 }
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/* ---------- Built-in template ---------- */
+// Ships inside the module so the element renders without fetch(); the styles go into one shared
+// constructable stylesheet. The only copy: `template-url` overrides start from these two.
+const TEMPLATE_STYLES = /* css */ `
+  :host {
+    --accent: #2563eb;
+    --accent-2: #60a5fa;
+    --track: color-mix(in oklab, Canvas 85%, #6b7280);
+    --fill: var(--accent);
+    --border: color-mix(in oklab, Canvas 85%, #6b7280);
+    --radius: 10px;
+    --gap: 0.75rem;
+    --handle-size: 16px;
+    --track-h: 6px;
+    --focus: 2px solid color-mix(in oklab, var(--accent) 60%, white);
+    --label-w: 10rem;
+
+    /* ticks */
+    --tick-color: color-mix(in oklab, currentColor 60%, transparent);
+    --tick-strong-color: color-mix(in oklab, currentColor 80%, transparent);
+    --tick-label-color: color-mix(in oklab, currentColor 80%, transparent);
+    --blackout: color-mix(in oklab, CanvasText 30%, transparent);
+    --histogram: color-mix(in oklab, var(--accent) 30%, transparent);
+    --histogram-h: 28px;
+    --display-tz-color: color-mix(in oklab, var(--accent) 70%, currentColor);
+    --day-shift-color: #b45309;
+    --tick-h: 8px;
+    --tick-h-strong: 12px;
+    --tick-font-size: 10px;
+    --tick-label-offset: 10px;
+
+    display: block;
+    color: inherit;
+  }
+
+  .group { display: grid; gap: var(--gap); margin-bottom: 1rem; }
+  .group[hidden] { display: none; }
 
-customElements.define('date-and-daytime-range-picker', DateAndDaytimeRangePicker);
+  .row {
+    display: grid; grid-template-columns: var(--label-w) 1fr 1fr;
+    gap: .5rem .5rem; align-items: center;
+  }
+  .row .label { font-weight: 600; color: color-mix(in oklab, currentColor 70%, transparent); }
+
+  .inputs { display: grid; grid-template-columns: 1fr 1fr; gap: .5rem; }
+
+  input[type="date"], input[type="time"], input[type="text"] {
+    width: 100%; box-sizing: border-box; padding: .45rem .55rem;
+    border: 1px solid var(--border); border-radius: 8px; background: Canvas; color: CanvasText; outline: none;
+  }
+  input[type="date"]:focus, input[type="time"]:focus, input[type="text"]:focus {
+    border-color: var(--accent-2);
+    box-shadow: 0 0 0 3px color-mix(in oklab, var(--accent) 20%, transparent);
+  }
+  input.invalid { border-color: #ef4444; box-shadow: 0 0 0 3px color-mix(in oklab, #ef4444 25%, transparent); }
+  .track.invalid { box-shadow: 0 0 0 3px color-mix(in oklab, #ef4444 25%, transparent); }
+  .track.invalid .fill { --fill: #ef4444; }
+
+  .range {
+    position: relative; height: calc(var(--handle-size) + 1.25rem);
+    display: grid; align-items: start;
+  }
+
+  .track {
+    position: relative; height: var(--track-h); border-radius: var(--radius);
+    background: var(--track); overflow: visible; cursor: grab;
+    margin-top: calc((var(--handle-size) - var(--track-h)) / 2);
+  }
+  .track.dragging { cursor: grabbing; }
+  .track:focus { outline: none; }
+  .track:focus-visible { outline: var(--focus); outline-offset: 4px; }
+  .track.disabled { cursor: not-allowed; }
+
+  /* Disabled via own attribute or ancestor <fieldset disabled> */
+  :host(:disabled) { opacity: .6; }
+
+  .fill {
+    position: absolute; inset: 0; height: 100%;
+    background: linear-gradient(90deg, var(--fill), color-mix(in oklab, var(--fill) 82%, white));
+    border-radius: var(--radius);
+    transform: translateX(var(--fill-left, 0)) scaleX(var(--fill-scale, 1));
+    transform-origin: 0 50%;
+    pointer-events: none; z-index: 1;
+  }
+  .fill.hidden { display: none; }
+
+  /* DST transitions inside the selected days (see dst-disambiguation) */
+  .dst-marks { position: absolute; inset: 0; z-index: 2; }
+  .dst-mark {
+    position: absolute; top: 0; height: 100%;
+    background: repeating-linear-gradient(135deg, #f59e0b 0 2px, transparent 2px 5px);
+    opacity: .55;
+  }
+  .dst-mark.hit { opacity: 1; outline: 1px solid #f59e0b; }
+
+  .ticks, .tick-labels { position: absolute; inset: 0; pointer-events: none; }
+  .ticks { z-index: 2; }
+  .tick-labels { z-index: 3; font-size: var(--tick-font-size); color: var(--tick-label-color); }
+
+  .tick {
+    position: absolute; bottom: 100%; transform: translateX(-50%);
+    width: 0; border-left: 1px solid var(--tick-color); height: var(--tick-h);
+  }
+  .tick.strong { border-left-color: var(--tick-strong-color); height: var(--tick-h-strong); }
+  .tick-label { position: absolute; top: calc(100% + var(--tick-label-offset)); transform: translateX(-50%); white-space: nowrap; }
+
+  .thumb {
+    position: absolute; inset: 0; background: none; pointer-events: none;
+    -webkit-appearance: none; appearance: none; height: var(--handle-size);
+  }
+  .thumb::-webkit-slider-runnable-track { height: var(--track-h); background: transparent; }
+  .thumb::-moz-range-track { height: var(--track-h); background: transparent; }
+  .thumb::-webkit-slider-thumb {
+    -webkit-appearance: none; appearance: none; pointer-events: auto;
+    width: var(--handle-size); height: var(--handle-size); border-radius: 50%; border: 2px solid white;
+    box-shadow: 0 0 0 1px var(--border), 0 2px 4px rgba(0,0,0,.15);
+  }
+  .thumb.start::-webkit-slider-thumb {
+    background: radial-gradient(circle at 70% 50%, white 0 30%, color-mix(in oklab,var(--accent) 65%, white) 30% 100%);
+  }
+  .thumb.end::-webkit-slider-thumb {
+    background: radial-gradient(circle at 30% 50%, white 0 30%, color-mix(in oklab,var(--accent) 65%, white) 30% 100%);
+  }
+  .thumb.center::-webkit-slider-thumb {
+    background: radial-gradient(circle at 50% 70%, white 0 30%, color-mix(in oklab,var(--accent) 65%, white) 30% 100%);
+  }
+  .thumb::-moz-range-thumb {
+    pointer-events: auto; width: var(--handle-size); height: var(--handle-size); border-radius: 50%; border: 2px solid white;
+    box-shadow: 0 0 0 1px var(--border), 0 2px 4px rgba(0,0,0,.15);
+    background: radial-gradient(circle at 40% 35%, white 0 30%, color-mix(in oklab,var(--accent) 65%, white) 30% 100%);
+  }
+  .thumb:focus { outline: none; }
+  .thumb:focus-visible { outline: var(--focus); outline-offset: 4px; }
+  .thumb.start { z-index: 4; } .thumb.end { z-index: 4; }
+
+  /* Improve touch dragging on the track */
+  .track { touch-action: none; }
+
+  /* Center thumb sits above start/end */
+  .thumb.center { z-index: 3; top: calc(-1 * var(--handle-size)); }
+
+  /* Optional: make the center thumb slightly different to hint "move window" */
+  .thumb.center::-webkit-slider-thumb,
+  .thumb.center::-moz-range-thumb {
+    /* same base as other thumbs; tweak ring to hint distinct role */
+    border: 2px solid white;
+    box-shadow:
+      0 0 0 1px var(--border),
+      0 0 0 4px color-mix(in oklab, var(--accent) 18%, transparent),
+      0 2px 4px rgba(0,0,0,.15);
+  }
+
+  /* Presets */
+  .presets { grid-column: span 2; display: flex; flex-wrap: wrap; gap: .4rem; }
+  .preset {
+    padding: .3rem .6rem; cursor: pointer; font: inherit; font-size: .9em;
+    border: 1px solid var(--border); border-radius: 999px; background: Canvas; color: CanvasText;
+  }
+  .preset:hover:not(:disabled) { border-color: var(--accent-2); }
+  .preset:focus-visible { outline: var(--focus); outline-offset: 2px; }
+  .preset[aria-pressed="true"] { background: var(--accent); border-color: var(--accent); color: white; }
+  .preset:disabled { opacity: .4; cursor: default; }
+
+  /* Time zone combobox */
+  .tz-inputs { position: relative; }
+  .tz-list {
+    position: absolute; top: calc(100% + .35rem); left: 0; right: 0; z-index: 10;
+    max-height: 18rem; overflow-y: auto; padding: .25rem 0;
+    border: 1px solid var(--border); border-radius: var(--radius);
+    background: Canvas; color: CanvasText; box-shadow: 0 6px 20px rgba(0,0,0,.15);
+  }
+  .tz-list[hidden] { display: none; }
+  .tz-group-label, .tz-empty {
+    display: block; padding: .35rem .6rem .15rem;
+    font-size: .75em; color: color-mix(in oklab, currentColor 60%, transparent);
+  }
+  .tz-group-label { font-weight: 600; }
+  .tz-option { display: grid; grid-template-columns: 1fr auto; column-gap: .5rem; padding: .25rem .6rem; cursor: pointer; }
+  .tz-option.active { background: color-mix(in oklab, var(--accent) 15%, transparent); }
+  .tz-option[aria-selected="true"] .tz-city { font-weight: 600; }
+  .tz-id { font-size: .8em; color: color-mix(in oklab, currentColor 60%, transparent); }
+  .tz-offset { grid-row: 1 / 3; grid-column: 2; align-self: center; font-size: .85em; font-variant-numeric: tabular-nums; }
+
+  /* Calendar popup (opt-in via the \`calendar\` attribute) */
+  .date-inputs { position: relative; }
+  .calendar-toggle { display: none; }
+  :host([calendar]) .date-inputs { grid-template-columns: 1fr 1fr auto; }
+  :host([calendar]) .calendar-toggle { display: inline-grid; }
+  .calendar-toggle, .calendar-nav button {
+    place-items: center; padding: .35rem .45rem; cursor: pointer;
+    border: 1px solid var(--border); border-radius: 8px; background: Canvas; color: CanvasText;
+  }
+  .calendar-toggle:focus-visible, .calendar-nav button:focus-visible { outline: var(--focus); outline-offset: 2px; }
+  .calendar-toggle svg { width: 1.1em; height: 1.1em; }
+  .calendar {
+    position: absolute; top: calc(100% + .35rem); left: 0; z-index: 10;
+    padding: .6rem; border: 1px solid var(--border); border-radius: var(--radius);
+    background: Canvas; color: CanvasText; box-shadow: 0 6px 20px rgba(0,0,0,.15);
+  }
+  .calendar[hidden] { display: none; }
+  .calendar-nav { display: flex; justify-content: space-between; margin-bottom: .25rem; }
+  .calendar-nav button:disabled { opacity: .35; cursor: default; }
+  .calendar-months { display: flex; gap: 1rem; touch-action: none; user-select: none; }
+  .month-title { text-align: center; font-weight: 600; margin: -1.75rem 2.5rem .5rem; line-height: 1.75rem; }
+  .month-grid { display: grid; grid-template-columns: repeat(7, 2rem); row-gap: 2px; }
+  .weekday { text-align: center; font-size: .75em; color: color-mix(in oklab, currentColor 60%, transparent); }
+  .day {
+    height: 2rem; padding: 0; border: 0; border-radius: 0; background: none;
+    color: inherit; font: inherit; cursor: pointer;
+  }
+  .day:hover:not(:disabled) { background: color-mix(in oklab, var(--accent) 15%, transparent); }
+  .day:disabled { opacity: .35; cursor: default; }
+  .day:focus-visible { outline: var(--focus); outline-offset: -2px; }
+  .day.in-range { background: color-mix(in oklab, var(--accent) 22%, transparent); }
+  .day.range-start, .day.range-end { background: var(--accent); color: white; }
+  .day.range-start { border-radius: 999px 0 0 999px; }
+  .day.range-end { border-radius: 0 999px 999px 0; }
+  .day.range-start.range-end { border-radius: 999px; }
+
+  /* Weekday filter (see the \`weekdays\` attribute) */
+  .weekdays { display: flex; flex-wrap: wrap; gap: .3rem; }
+  .weekday-toggle {
+    min-width: 2.75rem; padding: .3rem .5rem; cursor: pointer; font: inherit; font-size: .9em;
+    border: 1px solid var(--border); border-radius: 8px; background: Canvas; color: CanvasText;
+  }
+  .weekday-toggle:focus-visible { outline: var(--focus); outline-offset: 2px; }
+  .weekday-toggle[aria-pressed="true"] { background: var(--accent); border-color: var(--accent); color: white; }
+  .weekday-toggle:disabled { opacity: .4; cursor: default; }
+  .weekday-marks { position: absolute; inset: 0; z-index: 2; pointer-events: none; }
+  .excluded-days {
+    position: absolute; top: 0; height: 100%;
+    background: repeating-linear-gradient(135deg, color-mix(in oklab, CanvasText 35%, transparent) 0 2px, transparent 2px 5px);
+  }
+
+  /* Blackouts (disabledDates / disabledTimes) */
+  .blackouts { position: absolute; inset: 0; z-index: 2; pointer-events: none; }
+  .blackout { position: absolute; top: 0; height: 100%; border-radius: 2px; background: var(--blackout); }
+  .day.blackout-day { text-decoration: line-through; }
+
+  /* Histograms (dateHistogram / timeHistogram): bars rising from the track, beneath the fill */
+  .range.has-histogram { margin-top: var(--histogram-h); }
+  .histogram { position: absolute; left: 0; right: 0; bottom: 0; height: var(--histogram-h); z-index: 0; }
+  .histogram .bar { position: absolute; bottom: 0; border-radius: 2px 2px 0 0; background: var(--histogram); }
+  .histogram .bar:hover { background: color-mix(in oklab, var(--histogram), var(--accent) 40%); }
+  .histogram-tip {
+    position: absolute; bottom: calc(var(--histogram-h) + 4px); transform: translateX(-50%); z-index: 5;
+    padding: .15rem .4rem; border-radius: 4px; background: CanvasText; color: Canvas;
+    font-size: var(--tick-font-size); white-space: nowrap; pointer-events: none;
+  }
+  .histogram-tip[hidden] { display: none; }
+
+  /* Second zone (display-tz): converted times next to the offset preview, wall-time labels under the time track */
+  .display-tz { margin-top: .25rem; font-size: .85em; color: var(--display-tz-color); }
+  .display-tz.day-shift { color: var(--day-shift-color); font-weight: 600; }
+  .display-tz[hidden], .display-tz-ticks[hidden] { display: none; }
+  .display-tz-ticks .tick-label { top: calc(100% + var(--tick-label-offset) + 1.4em); color: var(--display-tz-color); }
+  .range.has-display-tz { height: calc(var(--handle-size) + 2.5rem); }
+
+  /* Date zoom overview (opt-in via the \`date-zoom\` attribute) */
+  .thumb.out-of-view { visibility: hidden; }
+  .overview { display: none; }
+  :host([date-zoom]) .date-range { height: calc(var(--handle-size) + 2.25rem); }
+  :host([date-zoom]) .overview {
+    display: block; position: absolute; left: 0; right: 0; bottom: 0; height: 8px;
+    border-radius: 4px; background: var(--track); cursor: pointer; touch-action: none;
+  }
+  .overview-selection, .overview-viewport { position: absolute; top: 0; height: 100%; box-sizing: border-box; border-radius: 4px; }
+  .overview-selection { background: var(--fill); opacity: .6; }
+  .overview-viewport { border: 1.5px solid var(--accent); cursor: grab; }
+
+  /* Multiple time windows (max-windows > 1) */
+  .time-inputs.multi { grid-template-columns: 1fr 1fr auto auto; }
+  .window-button {
+    place-items: center; min-width: 2rem; padding: .35rem .45rem; cursor: pointer; font: inherit;
+    border: 1px solid var(--border); border-radius: 8px; background: Canvas; color: CanvasText;
+  }
+  .window-button[hidden] { display: none; }
+  .window-button:focus-visible { outline: var(--focus); outline-offset: 2px; }
+  .window-button:disabled { opacity: .35; cursor: default; }
+  .windows { position: absolute; inset: 0; pointer-events: none; }
+  .window-thumbs { display: contents; }
+
+  .visually-hidden {
+    position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0;
+    overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;
+  }
+
+  @media (max-width: 700px) {
+    .row { grid-template-columns: 1fr; } .inputs { grid-template-columns: 1fr; }
+    .time-inputs.multi { grid-template-columns: 1fr 1fr; }
+    .calendar-months { flex-direction: column; }
+  }
+`;
+
+const TEMPLATE_MARKUP = /* html */ `
+  <!-- data-msg* attributes name keys of the message bundle (see DEFAULT_MESSAGES in the JS module) -->
+
+  <!-- Presets (hidden until presets are defined); declarative <option> children land in the hidden slot -->
+  <slot id="presetSlot" hidden></slot>
+  <div class="group" id="presetsGroup" role="group" aria-label="Presets" data-msg-aria-label="presets" hidden>
+    <div class="row">
+      <div class="label" data-msg="presets">Presets</div>
+      <div class="presets" id="presets" part="presets"></div>
+    </div>
+  </div>
+
+  <!-- Time Zone (combobox) -->
+  <div class="group" role="group" aria-label="Time zone" data-msg-aria-label="timeZone">
+    <div class="row">
+      <div class="label" data-msg="timeZone">Time zone</div>
+      <div class="inputs tz-inputs">
+        <input id="tzInput" type="text" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="tzList"
+               placeholder="e.g., Europe/Berlin" autocomplete="off" spellcheck="false"
+               aria-label="Time zone" data-msg-aria-label="timeZone" data-msg-placeholder="tzPlaceholder" />
+        <div class="tz-list" id="tzList" role="listbox" part="tz-list" aria-label="Time zones" data-msg-aria-label="timeZoneList" hidden></div>
+      </div>
+      <div>
+        <input id="tzOffsetPreview" type="text" readonly aria-label="Offset preview" data-msg-aria-label="offsetPreviewLabel" />
+        <div class="display-tz" id="displayTzPreview" part="display-tz" hidden></div>
+      </div>
+    </div>
+  </div>
+
+  <!-- Date Range -->
+  <div class="group" role="group" aria-label="Date range" data-msg-aria-label="dateRange">
+    <div class="row">
+      <div class="label" data-msg="dateRange">Date range</div>
+      <div class="inputs date-inputs">
+        <input part="date-start" type="date" id="dateStart" aria-label="Start date" data-msg-aria-label="startDate" />
+        <input part="date-end" type="date" id="dateEnd" aria-label="End date" data-msg-aria-label="endDate" />
+        <button part="calendar-toggle" type="button" id="calendarToggle" class="calendar-toggle"
+                aria-haspopup="dialog" aria-expanded="false" aria-controls="calendar"
+                aria-label="Choose dates in calendar" data-msg-aria-label="calendarToggle">
+          <svg viewBox="0 0 16 16" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5">
+            <rect x="1.75" y="2.75" width="12.5" height="11.5" rx="1.5" /><path d="M1.75 6.25h12.5M5 1v3.5M11 1v3.5" />
+          </svg>
+        </button>
+        <div part="calendar" id="calendar" class="calendar" role="dialog" aria-label="Calendar" data-msg-aria-label="calendar" hidden>
+          <div class="calendar-nav">
+            <button type="button" id="calendarPrev" aria-label="Previous month" data-msg-aria-label="previousMonth">‹</button>
+            <button type="button" id="calendarNext" aria-label="Next month" data-msg-aria-label="nextMonth">›</button>
+          </div>
+          <div id="calendarMonths" class="calendar-months"></div>
+        </div>
+      </div>
+      <div class="range date-range">
+        <div class="track" id="dateTrack" role="slider" tabindex="0" aria-label="Date range window" data-msg-aria-label="dateWindow">
+          <div class="histogram" id="dateHistogram" part="date-histogram" aria-hidden="true" hidden></div>
+          <div class="fill" id="dateFill"></div>
+          <div class="weekday-marks" id="dateWeekdayMarks"></div>
+          <div class="blackouts" id="dateBlackouts"></div>
+          <div class="ticks" id="dateTicks"></div>
+          <div class="tick-labels" id="dateTickLabels"></div>
+          <div class="histogram-tip" id="dateHistogramTip" part="histogram-tip" aria-hidden="true" hidden></div>
+        </div>
+        <input class="thumb start" id="dateThumbStart" type="range" aria-label="Start date" data-msg-aria-label="startDate" />
+        <input class="thumb end" id="dateThumbEnd" type="range" aria-label="End date" data-msg-aria-label="endDate" />
+        <!-- Pointer-only; keyboard and assistive tech use the track (role="slider") -->
+        <input class="thumb center" id="dateThumbCenter" type="range" tabindex="-1" aria-hidden="true" />
+        <!-- Overview of the whole bounds (date-zoom); pointer-only, the track's + / - / 0 keys zoom -->
+        <div class="overview" id="dateOverview" part="date-overview" aria-hidden="true">
+          <div class="overview-selection" id="dateOverviewSelection"></div>
+          <div class="overview-viewport" id="dateOverviewViewport"></div>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <!-- Weekdays (shown with the \`weekdays\` attribute or a filtered mask); toggles are rendered from the locale -->
+  <div class="group" id="weekdaysGroup" role="group" aria-label="Weekdays" data-msg-aria-label="weekdays" hidden>
+    <div class="row">
+      <div class="label" data-msg="weekdays">Weekdays</div>
+      <div class="weekdays" id="weekdays" part="weekdays"></div>
+    </div>
+  </div>
+
+  <!-- Time Range -->
+  <div class="group" role="group" aria-label="Time range" data-msg-aria-label="timeRange">
+    <div class="row">
+      <div class="label" data-msg="timeRange">Time range</div>
+      <div class="inputs time-inputs" id="timeInputs">
+        <input part="time-start" type="time" id="timeStart" aria-label="Start time" data-msg-aria-label="startTime" />
+        <input part="time-end" type="time" id="timeEnd" aria-label="End time" data-msg-aria-label="endTime" />
+        <!-- Shown with max-windows > 1 -->
+        <button part="window-add" type="button" id="timeWindowAdd" class="window-button"
+                aria-label="Add time window" data-msg-aria-label="addWindow" hidden>+</button>
+        <button part="window-remove" type="button" id="timeWindowRemove" class="window-button"
+                aria-label="Remove time window" data-msg-aria-label="removeWindow" hidden>−</button>
+      </div>
+      <div class="range">
+        <div class="track" id="timeTrack" role="slider" tabindex="0" aria-label="Time range window" data-msg-aria-label="timeWindow">
+          <div class="histogram" id="timeHistogram" part="time-histogram" aria-hidden="true" hidden></div>
+          <div class="fill" id="timeFillA"></div>
+          <div class="fill hidden" id="timeFillB"></div>
+          <div class="windows" id="timeWindowFills"></div>
+          <div class="dst-marks" id="timeDstMarks"></div>
+          <div class="blackouts" id="timeBlackouts"></div>
+          <div class="ticks" id="timeTicks"></div>
+          <div class="tick-labels" id="timeTickLabels"></div>
+          <div class="tick-labels display-tz-ticks" id="displayTzTickLabels" part="display-tz-ticks" aria-hidden="true" hidden></div>
+          <div class="histogram-tip" id="timeHistogramTip" part="histogram-tip" aria-hidden="true" hidden></div>
+        </div>
+        <input class="thumb start" id="timeThumbStart" type="range" aria-label="Start time" data-msg-aria-label="startTime" />
+        <input class="thumb end" id="timeThumbEnd" type="range" aria-label="End time" data-msg-aria-label="endTime" />
+        <!-- Handle pairs of the additional time windows -->
+        <div class="window-thumbs" id="timeWindowThumbs"></div>
+        <!-- Pointer-only; keyboard and assistive tech use the track (role="slider") -->
+        <input class="thumb center" id="timeThumbCenter" type="range" tabindex="-1" aria-hidden="true" />
+      </div>
+    </div>
+  </div>
+
+  <!-- Announces committed ranges -->
+  <div id="liveRegion" class="visually-hidden" role="status" aria-live="polite"></div>
+`;
+
+globalThis.customElements?.define('date-and-daytime-range-picker', DateAndDaytimeRangePicker);
@@ -0,0 +1,770 @@
+// range-core.js
+// DOM-free model of <date-and-daytime-range-picker>: selection state and reducers (snapping, clamping,
+// circular midnight shifts, recentering, multiple windows), tick steps, formatting and time zone math.
+// The element is built on it; it runs as-is in Node for tests, server-side validation or custom UIs.
+
+// Intl.DateTimeFormat construction is expensive and the zone math runs per render; cache per zone.
+const zoneFormatters = new Map();
+function zoneFormatter(tz) {
+  let fmt = zoneFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    zoneFormatters.set(tz, fmt);
+  }
+  return fmt;
+}
+
+/* ---------- Zone math (no libs) ---------- */
+export function zoneParts(tz, epochMs) {
+  const parts = Object.fromEntries(zoneFormatter(tz).formatToParts(new Date(epochMs)).map(p => [p.type, +p.value]));
+  return { y: parts.year, M: parts.month, d: parts.day, h: parts.hour, m: parts.minute, s: parts.second };
+}
+// UTC offset of `tz` at an instant, in minutes
+export function offsetMinutes(tz, epochMs) {
+  const p = zoneParts(tz, epochMs);
+  const asUTCms = Date.UTC(p.y, p.M - 1, p.d, p.h, p.m, p.s);
+  return Math.round((asUTCms - epochMs) / 60000);
+}
+
+// Resolve a wall time to an instant. Gap (wall time skipped): `dstAdjusted`; overlap (wall time
+// occurs twice): `ambiguous`. `rejected` is set for either when disambiguation is 'reject'.
+// `mode`: 'compatible' | 'earlier' | 'later' | 'reject' — same semantics as Temporal
+export function resolveLocal(tz, y, M, d, h, m, s, mode = 'compatible') {
+  const wall = Date.UTC(y, M - 1, d, h, m, s);
+  // Offsets a day before/after bracket any transition around this wall time
+  const offBefore = offsetMinutes(tz, wall - 86400000);
+  const offAfter  = offsetMinutes(tz, wall + 86400000);
+  const candidates = [...new Set([offBefore, offAfter])]
+    .map(off => wall - off * 60000)
+    .filter(epoch => { const p = zoneParts(tz, epoch); return Date.UTC(p.y, p.M - 1, p.d, p.h, p.m, p.s) === wall; })
+    .sort((a, b) => a - b);
+
+  let epoch, dstAdjusted = false, ambiguous = false;
+  if (candidates.length === 1) {
+    epoch = candidates[0];
+  } else if (candidates.length > 1) {
+    ambiguous = true;
+    epoch = mode === 'later' ? candidates[1] : candidates[0];
+  } else {
+    // Gap: 'earlier' applies the post-transition offset (wall time moves back), others the pre-transition one
+    dstAdjusted = true;
+    epoch = wall - (mode === 'earlier' ? offAfter : offBefore) * 60000;
+  }
+  return { epoch, dstAdjusted, ambiguous, rejected: mode === 'reject' && (dstAdjusted || ambiguous) };
+}
+
+// ISO 8601 of the instant's actual wall time in `tz` (a skipped 02:30 is reported as 03:30 / 01:30)
+export function formatEpochISO(tz, epoch) {
+  const p = zoneParts(tz, epoch);
+  const YYYY=String(p.y).padStart(4,'0'), MM=String(p.M).padStart(2,'0'), DD=String(p.d).padStart(2,'0');
+  const HH=String(p.h).padStart(2,'0'), MI=String(p.m).padStart(2,'0'), SS=String(p.s).padStart(2,'0');
+  return `${YYYY}-${MM}-${DD}T${HH}:${MI}:${SS}${formatOffset(offsetMinutes(tz, epoch))}`;
+}
+// Offset minutes → "+05:30" / "-03:00"
+export function formatOffset(off) {
+  const abs = Math.abs(off);
+  return `${off >= 0 ? '+' : '-'}${String(Math.floor(abs / 60)).padStart(2,'0')}:${String(abs % 60).padStart(2,'0')}`;
+}
+export function localToEpoch(tz, y, M, d, h, m, s, mode) { return resolveLocal(tz, y, M, d, h, m, s, mode).epoch; }
+// null when the wall time is rejected by mode 'reject'
+export function toISOWithOffset(tz, y, M, d, h, m, s, mode) {
+  const r = resolveLocal(tz, y, M, d, h, m, s, mode);
+  return r.rejected ? null : formatEpochISO(tz, r.epoch);
+}
+// Date (local midnight) and seconds of day of an instant's wall time in `tz`
+export function partsInZone(tz, epoch) {
+  const p = zoneParts(tz, epoch);
+  return { date: new Date(p.y, p.M - 1, p.d), seconds: p.h * 3600 + p.m * 60 + p.s, epoch, hasTime: true };
+}
+
+// "2026-02-01T22:00+01:00" (seconds optional, fractions dropped); without an offset it is a wall time in `tz`
+export function parseISODateTime(s, tz) {
+  const m = s.trim().match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!m) return null;
+  const [y, M, d, h, mi] = m.slice(1, 6).map(Number), sec = +(m[6] ?? 0);
+  if (M < 1 || M > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || sec > 59) return null;
+  if (!m[7]) return { date: new Date(y, M - 1, d), seconds: h * 3600 + mi * 60 + sec, epoch: resolveLocal(tz, y, M, d, h, mi, sec).epoch, hasTime: true };
+  const off = m[7] === 'Z' ? 0 : (m[7][0] === '-' ? -1 : 1) * (+m[7].slice(1, 3) * 60 + +m[7].slice(-2));
+  return partsInZone(tz, Date.UTC(y, M - 1, d, h, mi, sec) - off * 60000);
+}
+// "[R<n>/]start/end"; offsets are converted into `tz`.
+export function readISOInterval(text, tz) {
+  const m = String(text ?? '').trim().match(/^(?:R(\d+)\/)?([^/]+)\/([^/]+)$/);
+  if (!m) return null;
+  const start = parseISODateTime(m[2], tz), end = parseISODateTime(m[3], tz);
+  if (!start || !end) return null;
+  const lastDate = new Date(start.date);
+  lastDate.setDate(lastDate.getDate() + Math.max(1, +(m[1] ?? 1)) - 1);
+  return { start, end, lastDate };
+}
+
+/* ---------- Dates & times of day ---------- */
+// Times of day are seconds since midnight; DAY_SECONDS (24:00) is the end of the day.
+export const DAY_SECONDS = 86400;
+
+export function todayLocal() { const n=new Date(); return new Date(n.getFullYear(), n.getMonth(), n.getDate()); }
+export function coerceDateOnly(v) {
+  if (v instanceof Date) return new Date(v.getFullYear(), v.getMonth(), v.getDate());
+  if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v)) { const [y,m,d]=v.split('-').map(Number); return new Date(y, m-1, d); }
+  return null;
+}
+// "HH:MM" / "HH:MM:SS" → seconds of day, "24:00" → DAY_SECONDS, else null
+export function parseTimeOfDay(val) {
+  if (!val || !/^\d{2}:\d{2}(:\d{2})?$/.test(val)) return null;
+  const [H, M, S = 0] = val.split(':').map(Number);
+  if (H === 24 && M === 0 && S === 0) return DAY_SECONDS;
+  if (H > 23 || M > 59 || S > 59) return null;
+  return H * 3600 + M * 60 + S;
+}
+export function daysBetween(a, b) {
+  const MS=86400000;
+  const ad=new Date(a.getFullYear(), a.getMonth(), a.getDate()).getTime();
+  const bd=new Date(b.getFullYear(), b.getMonth(), b.getDate()).getTime();
+  return Math.round((bd - ad)/MS);
+}
+export function formatDateISO(d) { const y=d.getFullYear(), m=String(d.getMonth()+1).padStart(2,'0'), day=String(d.getDate()).padStart(2,'0'); return `${y}-${m}-${day}`; }
+// Seconds of day → "HH:MM:SS" ("24:00:00" for the end of the day) / [h, m, s]
+export function formatHHMMSS(sec) { return secondsToHMS(sec).map(n => String(n).padStart(2,'0')).join(':'); }
+export function secondsToHMS(sec) { sec = Math.round(sec); return [Math.floor(sec/3600), Math.floor(sec/60)%60, sec%60]; }
+
+/* ---------- Locale-aware formatting ---------- */
+export function usesHour12(locale) {
+  return !!new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12;
+}
+export function firstDayOfWeek(locale) {
+  try {
+    const loc = new Intl.Locale(locale);
+    const info = typeof loc.getWeekInfo === 'function' ? loc.getWeekInfo() : loc.weekInfo;
+    if (info?.firstDay) return info.firstDay; // ISO: 1 = Monday … 7 = Sunday
+  } catch {}
+  return 1;
+}
+export function weekdayName(iso, style, locale) {
+  return new Date(2024, 0, iso).toLocaleDateString(locale, { weekday: style }); // 2024-01-01 is a Monday
+}
+export function formatDateLong(d, locale) { return d.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }); }
+// Seconds of day; seconds are shown when there are any, or with `withSeconds`. The end of the day
+// (DAY_SECONDS) is "24:00" in 24-hour locales and the next midnight, "12:00 AM (+1)", in 12-hour ones.
+export function formatTimeOfDay(sec, locale, withSeconds = sec % 60 !== 0) {
+  const d = new Date(Date.UTC(2000, 0, 1, 0, 0, Math.round(sec)));
+  const hour12 = usesHour12(locale);
+  const hour = hour12 ? 'numeric' : '2-digit'; // "3:30 PM" vs. "15:30" / "06:00"
+  const endOfDay = sec >= DAY_SECONDS;
+  const text = d.toLocaleTimeString(locale, {
+    hour, minute: '2-digit', ...(withSeconds && { second: '2-digit' }), ...(endOfDay && !hour12 && { hourCycle: 'h24' }), timeZone: 'UTC'
+  });
+  return endOfDay && hour12 ? `${text} (+1)` : text;
+}
+export function formatDateTickLabel(d, stepDays, locale) {
+  // "2026" for yearly and coarser steps, "Jan 2026" for monthly ones, "Jan 3" otherwise
+  const opts = stepDays >= 365 ? { year: 'numeric' }
+    : stepDays >= 30 ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
+  return d.toLocaleDateString(locale, opts);
+}
+export function formatTimeTickLabel(sec, locale) {
+  // 12-hour locales label whole hours compactly ("3 PM"); 24-hour locales keep "15:00"
+  if (sec % 3600 === 0 && usesHour12(locale)) {
+    return new Date(Date.UTC(2000, 0, 1, sec / 3600)).toLocaleTimeString(locale, { hour: 'numeric', timeZone: 'UTC' });
+  }
+  return formatTimeOfDay(sec, locale);
+}
+
+/* ---------- Tick builders ---------- */
+// Step with a tick count closest to `target`
+function chooseTickStep(total, candidates, target) {
+  let best = candidates[0], bestDiff = Math.abs(total / candidates[0] - target);
+  for (const c of candidates) {
+    const diff = Math.abs(total / c - target);
+    if (diff < bestDiff) { best = c; bestDiff = diff; }
+  }
+  return best;
+}
+// 30 days and up stand for whole months (see buildDateTicks)
+export function chooseDateTickStep(totalDays, target = 7) { return chooseTickStep(totalDays, [1, 2, 5, 7, 14, 30, 60, 90, 120, 180, 365, 730, 1826, 3652], target); }
+export function chooseTimeTickStep(target = 8) { return chooseTickStep(DAY_SECONDS, [900, 1800, 3600, 7200, 10800, 14400], target); }
+
+// Both return [{ pct (0…1), strong, label }]; `label` is null for unlabelled ticks.
+export function buildDateTicks({ minDate, totalDays, locale, target = 7 }) {
+  totalDays = Math.max(1, totalDays);
+  const stepDays = chooseDateTickStep(totalDays, target);
+  const ticks = [];
+
+  // Monthly and coarser steps fall on the 1st of aligned months (quarters, years, decades)
+  if (stepDays >= 30) {
+    const months = Math.round(stepDays / 30.4375);
+    let m = minDate.getFullYear() * 12 + minDate.getMonth() + (minDate.getDate() > 1 ? 1 : 0);
+    m = Math.ceil(m / months) * months;
+    for (;; m += months) {
+      const d = new Date(Math.floor(m / 12), m % 12, 1);
+      const i = daysBetween(minDate, d);
+      if (i > totalDays) break;
+      ticks.push({ pct: i / totalDays, strong: true, label: formatDateTickLabel(d, stepDays, locale) });
+    }
+    return ticks;
+  }
+
+  // Weekly ticks start on the locale's first day of the week
+  let first = 0;
+  if (stepDays % 7 === 0) first = (firstDayOfWeek(locale) - (minDate.getDay() || 7) + 7) % 7;
+
+  for (let i = first; i <= totalDays; i += stepDays) {
+    const d = new Date(minDate); d.setDate(minDate.getDate() + i);
+    ticks.push({ pct: i / totalDays, strong: d.getDate() === 1, label: formatDateTickLabel(d, stepDays, locale) });
+  }
+  return ticks;
+}
+// `timeMax` is the end of the time track (see createState). `shift` (seconds) labels another zone's wall
+// times on the same track: that zone's UTC offset minus the track zone's; ticks are sorted by `pct`.
+export function buildTimeTicks({ locale, target = 8, timeMax = DAY_SECONDS - 60, shift = 0 }) {
+  const step = chooseTimeTickStep(target);
+  const ticks = [];
+  for (let t = 0; t < DAY_SECONDS; t += step) {
+    const strong = t % 3600 === 0;
+    const labelled = strong || t % (step * 2) === 0;
+    const at = wrapTime(t - shift);
+    if (at > timeMax) continue;
+    ticks.push({ pct: at / timeMax, strong, label: labelled ? formatTimeTickLabel(t, locale) : null });
+  }
+  return shift ? ticks.sort((a, b) => a.pct - b.pct) : ticks;
+}
+
+/* ---------- Range state ---------- */
+// A selection is a plain object (the element's internal state):
+//   minDate, maxDate                        local-midnight Dates bounding the date track
+//   dateMin, dateMax, dateStart, dateEnd    day indexes relative to minDate; dateStepDays
+//   dateViewStart, dateViewEnd              day indexes the date track shows (date-zoom), within the bounds
+//   timeMin, timeMax, timeStart, timeEnd    seconds of day; timeStep. timeEnd < timeStart wraps past midnight.
+//                                           timeMax is 23:59 / 23:59:59 (inclusive end), or 24:00 (exclusive end)
+//   extraWindows                            [{ start, end }] daily windows after the first one
+//   weekdays                                ISO weekdays (1 = Monday … 7 = Sunday) the daily window applies to
+//   timeZone                                IANA zone the wall times are in
+//   disabledDates, disabledTimes            blackouts: a predicate on local dates (or null), daily [{ start, end }]
+// Reducers never mutate their input. `options` is { continuous, maxWindows } (mode="continuous", max-windows).
+
+export const ALL_WEEKDAYS = Object.freeze([1, 2, 3, 4, 5, 6, 7]);
+
+// Bounds from min/max dates; missing or inverted bounds fall back to the last 30 days
+export function dateBounds(minDate, maxDate) {
+  minDate = coerceDateOnly(minDate); maxDate = coerceDateOnly(maxDate);
+  if (!minDate || !maxDate || minDate > maxDate) {
+    maxDate = todayLocal(); minDate = new Date(maxDate); minDate.setDate(maxDate.getDate() - 30);
+  }
+  const dateMax = daysBetween(minDate, maxDate);
+  return { minDate, maxDate, dateMin: 0, dateMax, dateViewStart: 0, dateViewEnd: dateMax };
+}
+
+// Default selection: the full date span with an overnight 22:00–06:00 window. `timeStep` is in seconds.
+export function createState({ minDate, maxDate, dateStepDays = 1, timeStep = 900, timeMax = DAY_SECONDS - 60, weekdays = ALL_WEEKDAYS, timeZone = 'UTC' } = {}) {
+  const bounds = dateBounds(minDate, maxDate);
+  return {
+    ...bounds, dateStart: bounds.dateMin, dateEnd: bounds.dateMax, dateStepDays: Math.max(1, dateStepDays),
+    timeMin: 0, timeMax, timeStart: 22*3600, timeEnd: 6*3600, timeStep: Math.max(1, timeStep),
+    extraWindows: [], weekdays: [...weekdays], timeZone, disabledDates: null, disabledTimes: []
+  };
+}
+
+export function snapToStep(value, step) { return Math.round(value / step) * step; }
+export function clamp(min, max, v) { return Math.max(min, Math.min(max, v)); }
+const wrapTime = (v) => ((v % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+// With an exclusive end (timeMax 24:00) a daily window ending at midnight ends at 24:00 rather than wrapping
+const dailyEnd = (state, end) => (end === 0 && state.timeMax >= DAY_SECONDS ? DAY_SECONDS : end);
+
+// Snap both dates to the step within the bounds, in order. Continuous mode re-checks the times,
+// as their same-day ordering depends on the dates.
+export function clampDates(state, options = {}) {
+  const snap = (v) => snapToStep(clamp(state.dateMin, state.dateMax, v), state.dateStepDays);
+  let [dateStart, dateEnd] = [snap(state.dateStart), snap(state.dateEnd)];
+  if (dateStart > dateEnd) [dateStart, dateEnd] = [dateEnd, dateStart];
+  const next = { ...state, dateStart, dateEnd };
+  return options.continuous ? clampTimes(next, options) : next;
+}
+
+// Snap all time windows to the step within the day (the last one may end at timeMax); extra windows
+// beyond maxWindows are dropped. Daily windows start before 24:00.
+export function clampTimes(state, { continuous = false, maxWindows = 1 } = {}) {
+  const snap = (v) => clamp(state.timeMin, state.timeMax, snapToStep(clamp(state.timeMin, state.timeMax, v), state.timeStep));
+  const start = (v) => (continuous ? snap(v) : snap(v) % DAY_SECONDS);
+  const end = (v) => (continuous ? snap(v) : dailyEnd(state, snap(v)));
+  let [timeStart, timeEnd] = [start(state.timeStart), end(state.timeEnd)];
+  // Continuous mode: a single-day interval cannot wrap past midnight
+  if (continuous && state.dateStart === state.dateEnd && timeEnd < timeStart) [timeStart, timeEnd] = [timeEnd, timeStart];
+  const extraWindows = state.extraWindows
+    .slice(0, (continuous ? 1 : maxWindows) - 1)
+    .map(w => ({ start: start(w.start), end: end(w.end) }));
+  return { ...state, timeStart, timeEnd, extraWindows };
+}
+
+// Move the date window by `delta` days (snapped to the step), stopping at the bounds
+export function shiftDateWindow(state, delta) {
+  const step = state.dateStepDays;
+  const minShift = Math.ceil((state.dateMin - state.dateStart) / step) * step;
+  const maxShift = Math.floor((state.dateMax - state.dateEnd) / step) * step;
+  const shift = clamp(minShift, maxShift, snapToStep(delta, step));
+  return { ...state, dateStart: state.dateStart + shift, dateEnd: state.dateEnd + shift };
+}
+
+// Circular shift of the first time window by `delta` seconds (snapped to the step). In continuous
+// mode the interval moves in absolute time, so crossing midnight carries into the dates; a shift
+// past the date bounds, or of a whole-day daily window, returns `state` itself.
+export function shiftTimeWindow(state, delta, { continuous = false } = {}) {
+  const shift = snapToStep(delta, state.timeStep);
+  if (continuous) {
+    const next = { ...state, timeStart: wrapTime(state.timeStart + shift), timeEnd: wrapTime(state.timeEnd + shift) };
+    next.dateStart = state.dateStart + Math.floor((state.timeStart + shift) / DAY_SECONDS);
+    next.dateEnd = state.dateEnd + Math.floor((state.timeEnd + shift) / DAY_SECONDS);
+    if (next.dateStart < state.dateMin || next.dateEnd > state.dateMax) return state;
+    return next;
+  }
+  if (timeSpanSeconds(state) >= DAY_SECONDS) return state;
+  return { ...state, timeStart: wrapTime(state.timeStart + shift), timeEnd: dailyEnd(state, wrapTime(state.timeEnd + shift)) };
+}
+
+// Midpoint of the date window, and the circular midpoint of the first time window
+export function dateWindowCenter({ dateStart, dateEnd }) { return (dateStart + dateEnd) / 2; }
+export function timeWindowCenter({ timeStart, timeEnd }) {
+  const width = timeEnd >= timeStart ? timeEnd - timeStart : DAY_SECONDS - timeStart + timeEnd;
+  return (timeStart + width / 2) % DAY_SECONDS;
+}
+
+// Center the window on a track position (`ratio` 0…1 of the date viewport), keeping its width
+export function recenterDateAt(state, ratio) {
+  const target = state.dateViewStart + clamp(0, 1, ratio) * (state.dateViewEnd - state.dateViewStart);
+  return shiftDateWindow(state, target - dateWindowCenter(state));
+}
+export function recenterTimeAt(state, ratio, options) {
+  const target = Math.round(state.timeMin + clamp(0, 1, ratio) * (state.timeMax - state.timeMin));
+  return shiftTimeWindow(state, target - timeWindowCenter(state), options);
+}
+
+/* ---------- Date viewport ---------- */
+// With date-zoom the date track shows [dateViewStart, dateViewEnd] instead of the whole bounds.
+// These reducers return `state` itself when the viewport does not change.
+export const MIN_VIEW_DAYS = 7;
+
+function withDateView(state, start, span) {
+  start = clamp(state.dateMin, state.dateMax - span, Math.round(start));
+  if (start === state.dateViewStart && start + span === state.dateViewEnd) return state;
+  return { ...state, dateViewStart: start, dateViewEnd: start + span };
+}
+
+// Scale the viewport by `factor` (< 1 zooms in), keeping the day under `ratio` (0…1) in place
+export function zoomDateView(state, factor, ratio = 0.5) {
+  const full = state.dateMax - state.dateMin, span = state.dateViewEnd - state.dateViewStart;
+  const next = clamp(Math.min(MIN_VIEW_DAYS, full), full, Math.round(span * factor));
+  const r = clamp(0, 1, ratio);
+  return withDateView(state, state.dateViewStart + r * span - r * next, next);
+}
+export function panDateView(state, delta) {
+  return withDateView(state, state.dateViewStart + delta, state.dateViewEnd - state.dateViewStart);
+}
+export function resetDateView(state) { return withDateView(state, state.dateMin, state.dateMax - state.dateMin); }
+
+// Pan just enough to show each day in `days`; later days win when they do not all fit
+export function revealDays(state, days) {
+  const span = state.dateViewEnd - state.dateViewStart;
+  let start = state.dateViewStart;
+  for (const d of days) start = clamp(d - span, d, start);
+  return withDateView(state, start, span);
+}
+
+// Seconds covered by a window; in continuous mode the whole interval across the dates (wall clock)
+export function timeSpanSeconds(state, { start, end } = { start: state.timeStart, end: state.timeEnd }, { continuous = false } = {}) {
+  if (continuous) return (state.dateEnd - state.dateStart) * DAY_SECONDS + end - start;
+  return end >= start ? end - start : DAY_SECONDS - start + end;
+}
+
+/* ---------- Multiple time windows ---------- */
+export function timeWindows(state) { return [{ start: state.timeStart, end: state.timeEnd }, ...state.extraWindows]; }
+export function inTimeWindow(w, m) { return w.end < w.start ? m >= w.start || m < w.end : m >= w.start && m < w.end; }
+
+// Union of circular windows (touching ones merge too), sorted by start; empty windows are dropped.
+// A window ending at midnight wraps, or ends at `timeMax` when that is 24:00; the whole day is 00:00–timeMax.
+export function mergeTimeWindows(list, timeMax = DAY_SECONDS - 60) {
+  const DAY = DAY_SECONDS, segs = [];
+  for (const w of list) {
+    if (w.end > w.start) segs.push([w.start, w.end]);
+    else if (w.end < w.start) segs.push([w.start, DAY], [0, w.end]);
+  }
+  if (!segs.length) return list.slice(0, 1);
+  segs.sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const [s, e] of segs) {
+    const last = out[out.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e); else out.push([s, e]);
+  }
+  // Pieces ending and starting at midnight form one wrapping window
+  if (out.length > 1 && out[0][0] === 0 && out[out.length - 1][1] === DAY) out[0][0] = out.pop()[0];
+  return out
+    .map(([s, e]) => ({ start: s, end: e < DAY ? e : s === 0 || timeMax >= DAY ? timeMax : 0 }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Replace all windows: overlapping ones merge, the first becomes timeStart/timeEnd, capped at maxWindows
+export function setTimeWindows(state, list, { maxWindows = 1 } = {}) {
+  const [first, ...rest] = (list.length > 1 ? mergeTimeWindows(list, state.timeMax) : list).slice(0, maxWindows);
+  return { ...state, timeStart: first.start, timeEnd: first.end, extraWindows: rest };
+}
+
+// New window of up to an hour centered in the largest free stretch of the day
+export function addTimeWindow(state, { maxWindows = 1 } = {}) {
+  const step = state.timeStep;
+  const windows = timeWindows(state);
+  if (windows.length >= maxWindows) return state;
+  const segs = mergeTimeWindows(windows, state.timeMax).map(w => [w.start, w.end < w.start ? w.end + DAY_SECONDS : w.end]);
+  let gap = { start: 0, length: 0 };
+  segs.forEach(([, e], i) => {
+    const next = i + 1 < segs.length ? segs[i + 1][0] : segs[0][0] + DAY_SECONDS;
+    if (next - e > gap.length) gap = { start: e, length: next - e };
+  });
+  if (gap.length < 2 * step) return state;
+  const width = Math.max(step, Math.floor(Math.min(3600, gap.length / 2) / step) * step);
+  const start = snapToStep(gap.start + (gap.length - width) / 2, step);
+  return { ...state, extraWindows: [...state.extraWindows, { start: start % DAY_SECONDS, end: dailyEnd(state, (start + width) % DAY_SECONDS) }] };
+}
+
+// Remove the window at a track position (`ratio` 0…1), or add an hour-long one there
+export function toggleTimeWindowAt(state, ratio, { maxWindows = 1 } = {}) {
+  const step = state.timeStep;
+  const at = state.timeMin + clamp(0, 1, ratio) * (state.timeMax - state.timeMin);
+  const windows = timeWindows(state);
+  const hit = windows.findIndex(w => inTimeWindow(w, at));
+  if (hit >= 0) {
+    if (windows.length === 1) return state;
+    windows.splice(hit, 1);
+    return setTimeWindows(state, windows, { maxWindows });
+  }
+  if (windows.length >= maxWindows) return state;
+  const width = Math.max(step, snapToStep(3600, step));
+  const start = clamp(state.timeMin, state.timeMax - width, snapToStep(at - width / 2, step));
+  return { ...state, extraWindows: [...state.extraWindows, { start, end: start + width }] };
+}
+
+/* ---------- Blackouts ---------- */
+// Disabled days, and daily disabled [start, end) spans in seconds (end < start wraps past midnight). Policies:
+//   'skip'  an endpoint never rests on a disabled day or inside a disabled span: it moves on past it in
+//           the direction it moved (unmoved: inwards). The range itself may contain blackouts.
+//   'stop'  the range may not contain a blackout: a moving edge, or a shifted window, stops in front of it.
+// `prev` is the state before the change (null: no previous state, the start anchors).
+
+// Dates or 'YYYY-MM-DD', { start, end } or 'YYYY-MM-DD/YYYY-MM-DD' (inclusive), or a predicate (date) => boolean
+export function compileDisabledDates(value) {
+  if (typeof value === 'function') return (d) => !!value(new Date(d));
+  if (!Array.isArray(value)) return null;
+  const days = new Set(), ranges = [];
+  for (const item of value) {
+    const [a, b] = typeof item === 'string' && item.includes('/') ? item.split('/')
+      : item && typeof item === 'object' && !(item instanceof Date) ? [item.start, item.end] : [item, item];
+    const start = coerceDateOnly(a), end = coerceDateOnly(b);
+    if (!start || !end) continue;
+    if (+start === +end) days.add(formatDateISO(start));
+    else ranges.push(start < end ? [start, end] : [end, start]);
+  }
+  if (!days.size && !ranges.length) return null;
+  return (d) => days.has(formatDateISO(d)) || ranges.some(([a, b]) => d >= a && d <= b);
+}
+
+// [{ startMinutes, endMinutes }] (0…1440) → [{ start, end }] in seconds; invalid and empty spans are dropped
+export function normalizeDisabledTimes(list) {
+  if (!Array.isArray(list)) return [];
+  const seconds = (m) => clamp(0, DAY_SECONDS, Math.round(m * 60));
+  return list
+    .map(r => ({ start: seconds(r?.startMinutes), end: seconds(r?.endMinutes) }))
+    .filter(w => Number.isFinite(w.start) && Number.isFinite(w.end) && w.start % DAY_SECONDS !== w.end % DAY_SECONDS);
+}
+
+export function isDisabledDay(state, idx) {
+  if (!state.disabledDates) return false;
+  const d = new Date(state.minDate); d.setDate(d.getDate() + idx);
+  return state.disabledDates(d);
+}
+// Disabled day indexes from `from` to `to` (inclusive), optionally only on the given ISO weekdays
+export function disabledDaysIn(state, from, to, weekdays = ALL_WEEKDAYS) {
+  const out = [];
+  if (!state.disabledDates) return out;
+  for (let i = from; i <= to; i++) {
+    if (weekdays.includes(weekdayAt(state, i)) && isDisabledDay(state, i)) out.push(i);
+  }
+  return out;
+}
+// ISO weekday of day index `i`
+function weekdayAt(state, i) { return ((state.minDate.getDay() || 7) - 1 + i % 7 + 7) % 7 + 1; }
+
+export function avoidDisabledDates(state, prev, policy = 'skip') {
+  if (!state.disabledDates) return state;
+  const { dateMin: lo, dateMax: hi, dateStepDays: step } = state;
+  const off = new Set(disabledDaysIn(state, lo, hi));
+  if (!off.size) return state;
+  const blocked = (a, b) => { for (const i of off) if (i >= a && i <= b) return true; return false; };
+  // First enabled day from `i` in direction `dir`, else the other way; `i` itself when there is none
+  const skip = (i, dir) => {
+    for (const d of [dir, -dir]) for (let j = i; j >= lo && j <= hi; j += d * step) if (!off.has(j)) return j;
+    return i;
+  };
+  const dir = (v, was, inward) => (was == null || v === was ? inward : Math.sign(v - was));
+  let start = skip(state.dateStart, dir(state.dateStart, prev?.dateStart, 1));
+  let end = skip(state.dateEnd, dir(state.dateEnd, prev?.dateEnd, -1));
+  if (start > end) return prev ? { ...state, dateStart: prev.dateStart, dateEnd: prev.dateEnd } : state;
+
+  if (policy === 'stop') {
+    if (prev && start !== prev.dateStart && end - start === prev.dateEnd - prev.dateStart) {
+      // Shifted: back off towards `prev` until neither the window nor the days it passed over hold a blackout
+      const sign = Math.sign(start - prev.dateStart);
+      let k = start - prev.dateStart;
+      while (k !== 0 && blocked(Math.min(prev.dateStart, prev.dateStart + k), Math.max(prev.dateEnd, prev.dateEnd + k))) k -= sign * step;
+      [start, end] = [prev.dateStart + k, prev.dateEnd + k];
+    }
+    if (blocked(start, end)) {
+      const days = [...off].filter(i => i >= start && i <= end);
+      if (prev && start !== prev.dateStart && end === prev.dateEnd) start = Math.ceil((Math.max(...days) + 1) / step) * step;
+      else end = Math.floor((Math.min(...days) - 1) / step) * step;
+    }
+  }
+  return start === state.dateStart && end === state.dateEnd ? state : { ...state, dateStart: start, dateEnd: end };
+}
+
+const arcs = ({ start, end }) => (end >= start ? [[start, end]] : [[start, DAY_SECONDS], [0, end]]);
+// Whether two circular spans share a second
+export function timeSpansOverlap(a, b) {
+  return arcs(a).some(([x1, x2]) => arcs(b).some(([y1, y2]) => x1 < y2 && y1 < x2));
+}
+// Disabled spans overlapping any of `windows`
+export function disabledTimesIn(state, windows) {
+  return state.disabledTimes.filter(span => windows.some(w => timeSpansOverlap(w, span)));
+}
+
+// Moves `v` out of any span it is strictly inside of, towards `dir`; `days` is -1/+1 when that crossed midnight
+function skipTime(v, spans, step, dir) {
+  const inside = (m, { start, end }) => (end >= start ? m > start && m < end : m > start || m < end);
+  let days = 0;
+  for (let n = 0; n < spans.length; n++) {
+    const span = spans.find(s => inside(v, s));
+    if (!span) break;
+    const next = dir > 0 ? Math.ceil(span.end / step) * step % DAY_SECONDS : Math.floor(span.start / step) * step;
+    days += dir > 0 ? (next < v ? 1 : 0) : (next > v ? -1 : 0);
+    v = next;
+  }
+  return { v, days };
+}
+function stopTime(w, p, spans, step) {
+  const clear = (x) => !spans.some(s => timeSpansOverlap(x, s));
+  const DAY = DAY_SECONDS;
+  const width = (x) => (x.end - x.start + DAY) % DAY;
+  const at = (t) => (t + DAY) % DAY;
+  const shifted = p && w.start !== p.start && w.end !== p.end && width(w) === width(p);
+  if (!shifted && clear(w)) return w;
+  if (shifted) {
+    // Shifted: back off towards `p` until neither the window nor the seconds it passed over hold a blackout
+    const delta = at(w.start - p.start), sign = delta < DAY / 2 ? 1 : -1;
+    for (let k = sign > 0 ? delta : delta - DAY; k !== 0; k -= sign * step) {
+      const swept = sign > 0 ? { start: p.start, end: at(p.end + k) } : { start: at(p.start + k), end: p.end };
+      if (width(p) + Math.abs(k) < DAY && clear(swept)) return { start: at(p.start + k), end: at(p.end + k) };
+    }
+    if (clear(p)) return p;
+  }
+  // One edge moved: the other one anchors and the moved edge stops in front of the nearest blackout
+  let cut;
+  if (p && w.start !== p.start && w.end === p.end) {
+    const back = Math.min(...spans.map(s => at(w.end - s.end)));
+    cut = { start: at(w.end - Math.floor(back / step) * step), end: w.end };
+  } else {
+    const ahead = Math.min(...spans.map(s => at(s.start - w.start)));
+    cut = { start: w.start, end: at(w.start + Math.floor(ahead / step) * step) };
+  }
+  return width(cut) || !p || !clear(p) ? cut : p; // nothing left: stay where it was
+}
+
+// Applies to every window; in continuous mode only the endpoints avoid disabled times (moving them
+// past midnight carries into the dates) and 'stop' acts like 'skip'.
+export function avoidDisabledTimes(state, prev, policy = 'skip', { continuous = false } = {}) {
+  const spans = state.disabledTimes;
+  if (!spans.length) return state;
+  const step = state.timeStep;
+  const dir = (v, was, inward) => (was == null || v === was ? inward : (wrapTime(v - was) < DAY_SECONDS / 2 ? 1 : -1));
+  const fix = (w, p) => {
+    const start = skipTime(w.start, spans, step, dir(w.start, p?.start, 1));
+    const end = skipTime(w.end, spans, step, dir(w.end, p?.end, -1));
+    const next = { start: start.v, end: end.v };
+    if (continuous) return { window: next, days: [start.days, end.days] };
+    const window = policy === 'stop' ? stopTime(next, p, spans, step) : next;
+    return { window: { start: window.start, end: dailyEnd(state, window.end) } };
+  };
+  const windows = timeWindows(state), prevWindows = prev ? timeWindows(prev) : [];
+  const [first, ...rest] = windows.map((w, i) => fix(w, prevWindows[i]));
+  const next = { ...state, timeStart: first.window.start, timeEnd: first.window.end, extraWindows: rest.map(r => r.window) };
+  if (continuous) {
+    const [dateStart, dateEnd] = [state.dateStart + first.days[0], state.dateEnd + first.days[1]];
+    if (dateStart < state.dateMin || dateEnd > state.dateMax || dateStart > dateEnd) return state;
+    Object.assign(next, { dateStart, dateEnd });
+  }
+  const same = timeWindows(next).every((w, i) => w.start === windows[i].start && w.end === windows[i].end);
+  return same && next.dateStart === state.dateStart && next.dateEnd === state.dateEnd ? state : next;
+}
+
+/* ---------- Histograms ---------- */
+// Values per day (index 0 = minDate) and per time-of-day bucket (n values: 86400 / n seconds each).
+// Bars are { start, end, value }: inclusive day indexes, or [start, end) seconds of day.
+export const MAX_HISTOGRAM_BARS = 120;
+
+// Non-negative numbers; anything else counts as 0. null when not an array.
+export function normalizeHistogram(values) {
+  if (!Array.isArray(values)) return null;
+  return values.map(v => (Number.isFinite(+v) && +v > 0 ? +v : 0));
+}
+const sum = (values, from, to) => { let t = 0; for (let i = Math.max(0, from); i < to && i < values.length; i++) t += values[i]; return t; };
+
+// Bars over the date viewport, each a whole number of date steps wide
+export function dateHistogramBars(state, values, maxBars = MAX_HISTOGRAM_BARS) {
+  const { dateViewStart: first, dateViewEnd: last, dateStepDays: step } = state;
+  const days = step * Math.max(1, Math.ceil((last - first + 1) / (step * maxBars)));
+  const bars = [];
+  for (let start = Math.floor(first / days) * days; start <= last; start += days) {
+    const end = Math.min(start + days - 1, state.dateMax);
+    bars.push({ start, end, value: sum(values, start, end + 1) });
+  }
+  return bars;
+}
+// Bars over the day: buckets merge until a bar is at least one time step wide
+export function timeHistogramBars(state, values, maxBars = MAX_HISTOGRAM_BARS) {
+  const n = values.length, width = DAY_SECONDS / n;
+  const k = Math.max(1, Math.ceil(state.timeStep / width - 1e-9), Math.ceil(n / maxBars));
+  const bars = [];
+  for (let i = 0; i < n; i += k) bars.push({ start: i * width, end: Math.min(n, i + k) * width, value: sum(values, i, i + k) });
+  return bars;
+}
+
+// Sum over the selected days, optionally only on the given ISO weekdays
+export function dateHistogramTotal(state, values, weekdays = ALL_WEEKDAYS) {
+  let total = 0;
+  for (let i = state.dateStart; i <= state.dateEnd && i < values.length; i++) if (weekdays.includes(weekdayAt(state, i))) total += values[i];
+  return total;
+}
+// Sum over the buckets inside the (circular) windows; a bucket partly inside counts pro rata
+export function timeHistogramTotal(values, windows) {
+  const width = DAY_SECONDS / values.length, union = [];
+  for (const [x, y] of windows.flatMap(arcs).sort((p, q) => p[0] - q[0])) {
+    const last = union[union.length - 1];
+    if (last && x <= last[1]) last[1] = Math.max(last[1], y); else union.push([x, y]);
+  }
+  let total = 0;
+  values.forEach((v, i) => {
+    const a = i * width, b = a + width;
+    const inside = union.reduce((t, [x, y]) => t + Math.max(0, Math.min(b, y) - Math.max(a, x)), 0);
+    total += v * Math.min(1, inside / width);
+  });
+  return Math.round(total * 1e6) / 1e6;
+}
+
+/* ---------- Weekdays & zones ---------- */
+// "1-5", "1,2,3,4,5", "6-1" (wraps) → sorted ISO weekdays; empty or invalid → every day
+export function parseWeekdays(v) {
+  const days = new Set();
+  for (const part of String(v ?? '').split(',')) {
+    const m = part.trim().match(/^([1-7])(?:\s*-\s*([1-7]))?$/);
+    if (!m) continue;
+    for (let d = +m[1]; ; d = d % 7 + 1) { days.add(d); if (d === +(m[2] ?? m[1])) break; }
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : [...ALL_WEEKDAYS];
+}
+
+export function isValidTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }).format(); return true; }
+  catch { return false; }
+}
+
+/* ---------- Time zone search ---------- */
+const FALLBACK_ZONES = [
+  'Europe/Berlin','Europe/London','Europe/Paris','Europe/Madrid','Europe/Rome','Europe/Warsaw',
+  'America/New_York','America/Chicago','America/Denver','America/Los_Angeles','America/Sao_Paulo',
+  'Asia/Tokyo','Asia/Shanghai','Asia/Hong_Kong','Asia/Singapore','Asia/Kolkata',
+  'Australia/Sydney'
+];
+let zoneList = null;
+// The runtime's IANA zones (a short list where Intl.supportedValuesOf is missing), `UTC` first if absent
+export function listTimeZones() {
+  if (!zoneList) {
+    let zones = [];
+    try { zones = Intl.supportedValuesOf('timeZone'); } catch {}
+    if (!zones?.length) zones = FALLBACK_ZONES;
+    zoneList = zones.includes('UTC') ? [...zones] : ['UTC', ...zones];
+  }
+  return zoneList;
+}
+// "America/Argentina/Buenos_Aires" → region "America", city "Buenos Aires"; UTC and Etc/… have no region
+export function zoneRegion(tz) {
+  const region = tz.split('/')[0];
+  return tz.includes('/') && region !== 'Etc' ? region : '';
+}
+export function zoneCity(tz) { return tz.slice(tz.lastIndexOf('/') + 1).replace(/_/g, ' '); }
+
+// Abbreviations as Intl prints them in these locales (elsewhere it prints "GMT+1"), winter and summer,
+// plus common ones ICU never prints. Built once, on the first search that looks like an abbreviation.
+const ABBREVIATION_LOCALES = ['en-US', 'en-GB', 'en-AU', 'en-IN'];
+const EXTRA_ABBREVIATIONS = {
+  JST: ['Asia/Tokyo'], KST: ['Asia/Seoul'], HKT: ['Asia/Hong_Kong'], SGT: ['Asia/Singapore'],
+  CST: ['Asia/Shanghai'], PKT: ['Asia/Karachi'], WIB: ['Asia/Jakarta'], MSK: ['Europe/Moscow'],
+  IST: ['Asia/Kolkata', 'Asia/Calcutta', 'Europe/Dublin', 'Asia/Jerusalem'],
+  SAST: ['Africa/Johannesburg'], WAT: ['Africa/Lagos'], EAT: ['Africa/Nairobi'],
+  BRT: ['America/Sao_Paulo'], ART: ['America/Argentina/Buenos_Aires'], UTC: ['UTC'], GMT: ['Europe/London', 'UTC']
+};
+let abbreviationIndex = null;
+function zonesByAbbreviation() {
+  if (abbreviationIndex) return abbreviationIndex;
+  abbreviationIndex = new Map(Object.entries(EXTRA_ABBREVIATIONS).map(([name, zones]) => [name, new Set(zones)]));
+  const year = new Date().getFullYear();
+  const instants = [Date.UTC(year, 0, 15), Date.UTC(year, 6, 15)];
+  for (const locale of ABBREVIATION_LOCALES) {
+    for (const tz of listTimeZones()) {
+      const fmt = new Intl.DateTimeFormat(locale, { timeZone: tz, timeZoneName: 'short' });
+      for (const epoch of instants) {
+        const name = fmt.formatToParts(epoch).find(p => p.type === 'timeZoneName')?.value;
+        if (!name || /^(GMT|UTC)[+-−]/.test(name)) continue;
+        if (!abbreviationIndex.has(name)) abbreviationIndex.set(name, new Set());
+        abbreviationIndex.get(name).add(tz);
+      }
+    }
+  }
+  return abbreviationIndex;
+}
+
+// "+05:30", "UTC-8", "GMT+5:45", "-0300", "UTC" → [min, max] offset minutes; a bare hour covers
+// its half and quarter hours ("+5" finds +05:30 and +05:45); anything else → null
+export function parseOffsetQuery(q) {
+  const m = String(q).trim().replace(/−/g, '-').match(/^(utc|gmt)?\s*(?:([+-])\s*(\d{1,2})(?::?(\d{2}))?)?$/i);
+  if (!m || (!m[1] && !m[2])) return null;
+  if (!m[2]) return [0, 0];
+  const sign = m[2] === '-' ? -1 : 1, h = +m[3];
+  if (m[4] != null) { const off = sign * (h * 60 + +m[4]); return [off, off]; }
+  return sign > 0 ? [h * 60, h * 60 + 59] : [-h * 60 - 59, -h * 60];
+}
+
+const fold = (s) => s.normalize('NFD').replace(/\p{M}/gu, '').replace(/_/g, ' ').toLowerCase();
+
+// Zones matching `query`, best first: city name (exact, prefix), a word of the ID, abbreviation
+// ("CET", "PST"), anywhere in the ID, then UTC offset at `epoch` ("+05:30"); ties keep list order.
+// An empty query returns all `zones`.
+export function searchTimeZones(query, { zones = listTimeZones(), epoch = Date.now() } = {}) {
+  const q = fold(String(query ?? '').trim());
+  if (!q) return [...zones];
+  const offsets = parseOffsetQuery(q);
+  const abbreviated = /^[a-z]{3,5}$/.test(q) ? zonesByAbbreviation().get(q.toUpperCase()) : null;
+  const ranked = [];
+  zones.forEach((tz, i) => {
+    const city = fold(zoneCity(tz)), id = fold(tz);
+    let rank = city === q ? 0
+      : city.startsWith(q) ? 1
+      : ` ${id.replace(/\//g, ' ')}`.includes(` ${q}`) ? 2
+      : abbreviated?.has(tz) ? 3
+      : id.includes(q) ? 4
+      : -1;
+    if (rank < 0 && offsets) {
+      const off = offsetMinutes(tz, epoch);
+      if (off >= offsets[0] && off <= offsets[1]) rank = 5;
+    }
+    if (rank >= 0) ranked.push([rank, i, tz]);
+  });
+  return ranked.sort((a, b) => a[0] - b[0] || a[1] - b[1]).map(([, , tz]) => tz);
+}
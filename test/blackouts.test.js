@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  avoidDisabledDates, avoidDisabledTimes, compileDisabledDates, createState, disabledDaysIn, disabledTimesIn,
+  normalizeDisabledTimes, timeSpansOverlap
+} from '../src/range-core.js';
+
+// January 2026 with Jan 10 and Jan 20–22 disabled; 12:00–13:00 and 23:00–01:00 disabled daily
+const base = () => ({
+  ...createState({ minDate: '2026-01-01', maxDate: '2026-01-31' }),
+  disabledDates: compileDisabledDates(['2026-01-10', '2026-01-20/2026-01-22']),
+  disabledTimes: normalizeDisabledTimes([{ startMinutes: 720, endMinutes: 780 }, { startMinutes: 1380, endMinutes: 60 }])
+});
+const dates = (s) => [s.dateStart, s.dateEnd];
+const times = (s) => [s.timeStart, s.timeEnd];
+const at = (s, patch) => ({ ...s, ...patch });
+const M = 60; // times of day are seconds
+
+test('compileDisabledDates: dates, ranges and predicates', () => {
+  const s = base();
+  assert.deepEqual(disabledDaysIn(s, 0, 30), [9, 19, 20, 21]);
+  assert.deepEqual(disabledDaysIn(s, 0, 30, [6, 7]), [9]); // Jan 10, 2026 is a Saturday
+  const weekends = { ...s, disabledDates: compileDisabledDates((d) => d.getDay() % 6 === 0) };
+  assert.deepEqual(disabledDaysIn(weekends, 0, 6), [2, 3]);
+  assert.equal(compileDisabledDates([]), null);
+  assert.equal(compileDisabledDates(['nope']), null);
+});
+
+test("dates, 'skip': endpoints move past disabled days in the direction they moved", () => {
+  const s = base();
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 9, dateEnd: 21 }), null)), [10, 18]); // unmoved: inwards
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 0, dateEnd: 19 }), at(s, { dateStart: 0, dateEnd: 18 }))), [0, 22]);
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 9, dateEnd: 15 }), at(s, { dateStart: 10, dateEnd: 15 }))), [8, 15]);
+});
+
+test("dates, 'stop': the range never contains a disabled day", () => {
+  const s = base();
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 0, dateEnd: 30 }), null, 'stop')), [0, 8]);
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 11, dateEnd: 25 }), at(s, { dateStart: 11, dateEnd: 15 }), 'stop')), [11, 18]);
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 2, dateEnd: 15 }), at(s, { dateStart: 12, dateEnd: 15 }), 'stop')), [10, 15]);
+  // A shifted window stops in front of the blackout instead of jumping over it
+  assert.deepEqual(dates(avoidDisabledDates(at(s, { dateStart: 23, dateEnd: 26 }), at(s, { dateStart: 11, dateEnd: 14 }), 'stop')), [15, 18]);
+});
+
+test('times: overlap is circular', () => {
+  assert.equal(timeSpansOverlap({ start: 1320 * M, end: 360 * M }, { start: 0, end: 60 * M }), true);
+  assert.equal(timeSpansOverlap({ start: 600 * M, end: 720 * M }, { start: 720 * M, end: 780 * M }), false); // touching
+  assert.deepEqual(disabledTimesIn(base(), [{ start: 600 * M, end: 900 * M }]), [{ start: 720 * M, end: 780 * M }]);
+});
+
+test("times, 'skip' and 'stop'", () => {
+  const s = base();
+  assert.deepEqual(times(avoidDisabledTimes(at(s, { timeStart: 1410 * M, timeEnd: 735 * M }), null)), [60 * M, 720 * M]);
+  assert.deepEqual(times(avoidDisabledTimes(at(s, { timeStart: 600 * M, timeEnd: 735 * M }), at(s, { timeStart: 600 * M, timeEnd: 705 * M }))), [600 * M, 780 * M]);
+  assert.deepEqual(times(avoidDisabledTimes(at(s, { timeStart: 600 * M, timeEnd: 900 * M }), at(s, { timeStart: 600 * M, timeEnd: 705 * M }), 'stop')), [600 * M, 720 * M]);
+  assert.deepEqual(times(avoidDisabledTimes(at(s, { timeStart: 1320 * M, timeEnd: 360 * M }), null, 'stop')), [1320 * M, 1380 * M]);
+  assert.deepEqual(times(avoidDisabledTimes(at(s, { timeStart: 810 * M, timeEnd: 900 * M }), at(s, { timeStart: 600 * M, timeEnd: 690 * M }), 'stop')), [630 * M, 720 * M]);
+});
+
+test('times, continuous mode: skipping past midnight carries into the dates', () => {
+  const s = at(base(), { dateStart: 3, dateEnd: 5 });
+  const next = avoidDisabledTimes(at(s, { timeStart: 1395 * M }), at(s, { timeStart: 1350 * M }), 'stop', { continuous: true });
+  assert.deepEqual([...dates(next), ...times(next)], [4, 5, 60 * M, 360 * M]);
+});
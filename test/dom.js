@@ -0,0 +1,73 @@
+// dom.js — happy-dom environment for the element tests (a dev dependency: `npm install`).
+// Rejects when happy-dom is not installed, so the element suite fails instead of passing empty;
+// the core tests do not import it and still run without any dependency.
+
+const GLOBALS = [
+  'HTMLElement', 'customElements', 'document', 'DOMParser', 'CustomEvent', 'Event', 'KeyboardEvent',
+  'PointerEvent', 'WheelEvent', 'FocusEvent', 'Node', 'CSSStyleSheet', 'ShadowRoot', 'HTMLTemplateElement', 'navigator',
+  'location', 'history', 'localStorage', 'sessionStorage', 'PopStateEvent', 'StorageEvent'
+];
+
+// The stand-in ElementInternals of each element (submitted value and form state)
+export const internalsOf = new WeakMap();
+
+let pending;
+export function setupDOM() {
+  return pending ??= (async () => {
+    let Window;
+    try {
+      ({ Window } = await import('happy-dom'));
+    } catch (error) {
+      throw new Error('The element tests need happy-dom: run `npm install`', { cause: error });
+    }
+    const window = new Window({ url: 'http://localhost/' });
+    for (const name of GLOBALS) globalThis[name] = window[name];
+    globalThis.window = window;
+    // happy-dom has no ElementInternals: a minimal stand-in with form value and validity
+    window.HTMLElement.prototype.attachInternals ??= function () {
+      const host = this;
+      const internals = {
+        shadowRoot: null, form: null, labels: [], states: new Set(), willValidate: true,
+        value: null, state: null, validity: { valid: true }, validationMessage: '',
+        setFormValue(value, state) { this.value = value; this.state = state; },
+        setValidity(flags = {}, message = '') {
+          const valid = !Object.values(flags).some(Boolean);
+          this.validity = { ...flags, valid };
+          this.validationMessage = valid ? '' : message;
+        },
+        checkValidity() { return this.validity.valid; },
+        reportValidity() { return this.validity.valid; },
+        get host() { return host; }
+      };
+      internalsOf.set(host, internals);
+      return internals;
+    };
+    await import('../src/date-and-daytime-range-picker.js');
+    return window;
+  })();
+}
+
+// Connects a picker with the given attributes and resolves once it has rendered
+export async function mountPicker(attributes = {}) {
+  const el = document.createElement('date-and-daytime-range-picker');
+  for (const [name, value] of Object.entries(attributes)) el.setAttribute(name, value);
+  document.body.append(el);
+  await el.ready;
+  const $ = (id) => el.shadowRoot.getElementById(id);
+  return { el, $ };
+}
+
+// Gives a track a fixed layout (happy-dom has none) and returns a pointer gesture helper:
+// drag(fromX, toX) presses, moves and releases; fromX === toX is a click.
+export function pointerOn(track, width) {
+  track.getBoundingClientRect = () => ({ left: 0, right: width, width, top: 0, bottom: 20, height: 20 });
+  track.setPointerCapture = track.releasePointerCapture = () => {};
+  const fire = (type, clientX) => track.dispatchEvent(new PointerEvent(type, { button: 0, clientX, clientY: 10, pointerId: 1, bubbles: true }));
+  return {
+    drag(fromX, toX) {
+      fire('pointerdown', fromX);
+      if (toX !== fromX) fire('pointermove', toX);
+      fire('pointerup', toX);
+    }
+  };
+}
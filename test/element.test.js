@@ -0,0 +1,694 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, mountPicker, pointerOn, internalsOf } from './dom.js';
+
+const window = await setupDOM();
+after(() => window.happyDOM.close());
+
+// Records the detail of every `input` / `change` event
+function record(el) {
+  const events = { input: [], change: [] };
+  for (const type of Object.keys(events)) el.addEventListener(type, (e) => events[type].push(e.detail));
+  return events;
+}
+// happy-dom's WheelEvent has no clientX
+const wheelAt = (clientX, deltaY) => Object.defineProperty(new WheelEvent('wheel', { deltaY, cancelable: true }), 'clientX', { value: clientX });
+const minutes = (el) => [el.timeRange.startMinutes, el.timeRange.endMinutes];
+const BOUNDS = { 'min-date': '2026-01-01', 'max-date': '2026-01-31', 'default-tz': 'Europe/Berlin', locale: 'en-GB' };
+
+test('time zone input: focus clears, Escape clears, blur restores', async () => {
+  const { el, $ } = await mountPicker(BOUNDS);
+  const tz = $('tzInput'), events = record(el);
+
+  tz.dispatchEvent(new FocusEvent('focus'));
+  assert.equal(tz.value, '');
+  assert.equal(tz.placeholder, 'Europe/Berlin');
+
+  tz.value = 'Asia/Tox';
+  tz.dispatchEvent(new Event('input'));
+  assert.ok(tz.classList.contains('invalid'));
+  tz.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', cancelable: true }));
+  assert.equal(tz.value, '');
+  assert.ok(!tz.classList.contains('invalid'));
+
+  tz.dispatchEvent(new FocusEvent('blur'));
+  assert.equal(tz.value, 'Europe/Berlin');
+  assert.equal(tz.placeholder, '');
+  assert.equal(events.change.at(-1).timeZone, 'Europe/Berlin');
+  el.remove();
+});
+
+test('time zone input: a valid zone is applied, an invalid one reverts', async () => {
+  const { el, $ } = await mountPicker(BOUNDS);
+  const tz = $('tzInput'), events = record(el);
+
+  tz.dispatchEvent(new FocusEvent('focus'));
+  tz.value = 'Asia/Tokyo';
+  tz.dispatchEvent(new Event('change'));
+  assert.equal(events.change.at(-1).timeZone, 'Asia/Tokyo');
+  assert.match(events.change.at(-1).rangeStartDateTimeISO, /\+09:00$/);
+
+  tz.dispatchEvent(new FocusEvent('focus'));
+  tz.value = 'Nowhere/Special';
+  tz.dispatchEvent(new Event('change'));
+  assert.equal(tz.value, 'Asia/Tokyo');
+  el.remove();
+});
+
+test('time zone list: search, keyboard pick, recent and favorite zones pinned', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'favorite-tz': 'Asia/Tokyo' });
+  const tz = $('tzInput'), list = $('tzList'), events = record(el);
+  const groups = () => [...list.querySelectorAll('.tz-group')].map(g => [g.firstChild.textContent, g.querySelectorAll('.tz-option').length]);
+  const type = (value) => { tz.value = value; tz.dispatchEvent(new Event('input')); };
+
+  tz.dispatchEvent(new FocusEvent('focus'));
+  assert.equal(list.hidden, false);
+  assert.equal(tz.getAttribute('aria-expanded'), 'true');
+  assert.deepEqual(groups()[0], ['Favorites', 1]);
+
+  type('+05:30');
+  assert.ok(!tz.classList.contains('invalid'));
+  assert.ok([...list.querySelectorAll('.tz-offset')].every(o => o.textContent === 'UTC+05:30'));
+
+  type('new york');
+  const first = list.querySelector('.tz-option');
+  assert.equal(first.dataset.tz, 'America/New_York');
+  assert.equal(first.querySelector('.tz-offset').textContent, 'UTC-05:00'); // January
+  assert.equal(tz.getAttribute('aria-activedescendant'), first.id);
+  tz.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', cancelable: true }));
+  tz.dispatchEvent(new Event('change')); // the input's own change after the pick
+  assert.equal(list.hidden, true);
+  assert.equal(events.change.length, 1);
+  assert.equal(events.change[0].timeZone, 'America/New_York');
+
+  tz.dispatchEvent(new FocusEvent('focus'));
+  assert.deepEqual(groups().slice(0, 2), [['Favorites', 1], ['Recent', 2]]);
+  assert.deepEqual([...list.querySelectorAll('.tz-group')[1].querySelectorAll('.tz-option')].map(o => o.dataset.tz), ['America/New_York', 'Europe/Berlin']);
+
+  type('CET');
+  assert.deepEqual(groups()[0], ['Recent', 1]); // Europe/Berlin
+  list.querySelector('.tz-option[data-tz="Europe/Paris"]').click();
+  assert.equal(events.change.at(-1).timeZone, 'Europe/Paris');
+  assert.match(events.change.at(-1).rangeStartDateTimeISO, /\+01:00$/);
+  el.remove();
+});
+
+test('date inputs clamp to the bounds and keep start ≤ end', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-10', 'end-date': '2026-01-20' });
+  $('dateEnd').value = '2026-01-05';
+  $('dateEnd').dispatchEvent(new Event('input'));
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-05', '2026-01-10']);
+
+  $('dateEnd').value = '2026-03-01';
+  $('dateEnd').dispatchEvent(new Event('input'));
+  assert.equal($('dateEnd').value, '2026-01-31');
+  el.remove();
+});
+
+test('dragging the date track shifts the window and stops at the bounds', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-10' });
+  const track = pointerOn($('dateTrack'), 300), events = record(el); // 10 px per day
+
+  track.drag(100, 150);
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-10', '2026-01-15']);
+  assert.equal(events.change.length, 1);
+  assert.ok(events.input.length >= 1);
+
+  track.drag(100, 400);
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-26', '2026-01-31']);
+  el.remove();
+});
+
+test('clicking the date track recenters the window', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-09' });
+  pointerOn($('dateTrack'), 300).drag(150, 150);
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-14', '2026-01-18']);
+  el.remove();
+});
+
+test('dragging the time track wraps around midnight', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-time': '22:00', 'end-time': '06:00' });
+  const track = pointerOn($('timeTrack'), 1440), events = record(el); // 1 px per minute
+
+  track.drag(500, 620);
+  assert.deepEqual(minutes(el), [0, 8 * 60]);
+  assert.equal(events.change.at(-1).timeRanges[0].crossesMidnight, false);
+
+  track.drag(500, 200);
+  assert.deepEqual(minutes(el), [19 * 60, 3 * 60]);
+  assert.equal($('timeThumbEnd').getAttribute('aria-valuetext'), '03:00, wraps past midnight');
+  el.remove();
+});
+
+test('max-windows: timeRanges set before connecting are applied once ready', async () => {
+  const el = document.createElement('date-and-daytime-range-picker');
+  for (const [name, value] of Object.entries({ ...BOUNDS, 'max-windows': '2' })) el.setAttribute(name, value);
+  el.timeRanges = [{ startMinutes: 8 * 60, endMinutes: 10 * 60 }, { startMinutes: 14 * 60, endMinutes: 16 * 60 }];
+  const events = record(el);
+  document.body.append(el);
+  await el.ready;
+  const windows = () => el.timeRanges.map(r => [r.startMinutes, r.endMinutes]);
+  assert.deepEqual(windows(), [[8 * 60, 10 * 60], [14 * 60, 16 * 60]]);
+  assert.equal(events.change.length, 0);
+
+  el.timeRange = { startMinutes: 9 * 60, endMinutes: 11 * 60 };
+  el.formResetCallback(); // back to the windows the page set
+  assert.deepEqual(windows(), [[8 * 60, 10 * 60], [14 * 60, 16 * 60]]);
+  el.remove();
+});
+
+test('max-windows: a double-click adds a window without committing the first click', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-time': '08:00', 'end-time': '10:00', 'max-windows': '2' });
+  const track = pointerOn($('timeTrack'), 1440), events = record(el); // 1 px per minute
+  const windows = (detail) => detail.timeRanges.map(r => `${r.timeStart}-${r.timeEnd}`).join();
+
+  track.drag(1080, 1080);
+  track.drag(1080, 1080);
+  assert.deepEqual(events.change.map(windows), ['08:00:00-10:00:00,17:30:00-18:30:00']);
+  // ...and is a single undo step
+  assert.equal(el.undo(), true);
+  assert.equal(windows(events.change.at(-1)), '08:00:00-10:00:00');
+  assert.equal(el.canUndo, false);
+  // A single click recenters at once but commits only once no second click can follow
+  track.drag(720, 720);
+  assert.equal(events.change.length, 2);
+  assert.deepEqual(minutes(el), [11 * 60, 13 * 60]);
+  await new Promise(resolve => setTimeout(resolve, 450));
+  assert.equal(windows(events.change.at(-1)), '11:00:00-13:00:00');
+  // Undo right after a click first commits it, then steps back over it
+  track.drag(360, 360);
+  assert.equal(el.undo(), true);
+  assert.equal(windows(events.change.at(-2)), '05:00:00-07:00:00');
+  assert.equal(windows(events.change.at(-1)), '11:00:00-13:00:00');
+  await new Promise(resolve => setTimeout(resolve, 450));
+  assert.equal(windows(events.change.at(-1)), '11:00:00-13:00:00');
+  el.remove();
+});
+
+test('continuous mode: dragging the time track past midnight carries into the dates', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, mode: 'continuous', 'start-date': '2026-01-05', 'end-date': '2026-01-06', 'start-time': '23:00', 'end-time': '01:00' });
+  pointerOn($('timeTrack'), 1440).drag(500, 620);
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-06', '2026-01-06']);
+  assert.deepEqual(minutes(el), [60, 180]);
+  el.remove();
+});
+
+test('endpoints carry the zone offset across a DST change', async () => {
+  const { el } = await mountPicker({ 'min-date': '2026-03-01', 'max-date': '2026-03-31', 'default-tz': 'Europe/Berlin', 'start-date': '2026-03-28', 'end-date': '2026-03-30', 'start-time': '22:00', 'end-time': '06:00' });
+  const events = record(el);
+  el.setAttribute('start-time', '21:00');
+  const detail = events.change.at(-1);
+  assert.equal(detail.rangeStartDateTimeISO, '2026-03-28T21:00:00+01:00');
+  assert.equal(detail.rangeEndDateTimeISO, '2026-03-31T06:00:00+02:00');
+  el.remove();
+});
+
+test('forms: the submitted value, reset to the page\'s selection and restored state', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, name: 'window', 'start-date': '2026-01-05', 'end-date': '2026-01-09', 'start-time': '22:00', 'end-time': '06:00' });
+  const internals = internalsOf.get(el);
+  assert.deepEqual([...internals.value], [
+    ['window[start]', '2026-01-05T22:00:00+01:00'], ['window[end]', '2026-01-10T06:00:00+01:00'], ['window[tz]', 'Europe/Berlin']
+  ]);
+  el.setAttribute('form-format', 'interval');
+  assert.equal(internals.value, '2026-01-05T22:00:00+01:00/2026-01-10T06:00:00+01:00');
+
+  pointerOn($('dateTrack'), 300).drag(150, 150); // recenter: 01-14 … 01-18
+  const state = internals.state;
+  el.formResetCallback();
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-05', '2026-01-09']);
+  el.formStateRestoreCallback(state); // e.g. back/forward cache
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-14', '2026-01-18']);
+  assert.equal(internals.value, '2026-01-14T22:00:00+01:00/2026-01-19T06:00:00+01:00');
+
+  el.removeAttribute('name'); // nothing is submitted without a name
+  assert.equal(internals.value, null);
+  el.remove();
+});
+
+test('validity: span limits, custom validity and a cleared required field', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-20', 'start-time': '08:00', 'end-time': '08:30' });
+  assert.equal(el.checkValidity(), true);
+  el.setAttribute('max-span-days', '14');
+  assert.deepEqual([el.validity.tooLong, el.validationMessage], [true, 'Please select at most 14 days.']);
+  assert.ok($('dateTrack').classList.contains('invalid'));
+  el.setAttribute('min-time-span', '60');
+  assert.deepEqual([el.validity.tooShort, el.validity.tooLong], [true, true]);
+  assert.ok($('timeTrack').classList.contains('invalid'));
+
+  el.dateRange = { start: '2026-01-05', end: '2026-01-10' };
+  el.timeRange = { startMinutes: 8 * 60, endMinutes: 10 * 60 };
+  assert.equal(el.checkValidity(), true);
+  assert.equal($('dateTrack').classList.contains('invalid'), false);
+
+  el.setCustomValidity('Pick a window outside the freeze period.');
+  assert.deepEqual([el.validity.customError, el.validationMessage], [true, 'Pick a window outside the freeze period.']);
+  el.setCustomValidity('');
+  assert.equal(el.checkValidity(), true);
+
+  el.setAttribute('required', '');
+  $('dateStart').value = '';
+  $('dateStart').dispatchEvent(new Event('input'));
+  assert.deepEqual([el.validity.valueMissing, el.validationMessage], [true, 'Please fill in the date and time range.']);
+  el.remove();
+});
+
+test('calendar: click-click and a drag across days select a range', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, calendar: '', 'start-date': '2026-01-05', 'end-date': '2026-01-09' });
+  const events = record(el);
+  $('calendarToggle').click();
+  assert.equal($('calendar').hidden, false);
+  const day = (n) => $('calendarMonths').querySelector(`button.day[data-idx="${n - 1}"]`); // January 2026
+  assert.deepEqual([...$('calendarMonths').querySelectorAll('button.day.in-range')].map(b => +b.textContent), [5, 6, 7, 8, 9]);
+
+  day(20).click();
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value, events.change.length], ['2026-01-20', '2026-01-20', 0]);
+  day(12).click(); // the end may precede the start
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-12', '2026-01-20']);
+  assert.equal(events.change.length, 1);
+
+  // Drag from the 3rd to the 6th (the hit test finds the day under the pointer)
+  const pointer = (type, target) => target.dispatchEvent(new PointerEvent(type, { button: 0, clientX: 0, clientY: 0, bubbles: true }));
+  el.shadowRoot.elementFromPoint = () => day(6);
+  pointer('pointerdown', day(3));
+  pointer('pointermove', day(6));
+  pointer('pointerup', day(6));
+  day(6).click(); // the click that ends the drag is not a first click
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-03', '2026-01-06']);
+  assert.equal(events.change.length, 2);
+  el.remove();
+});
+
+test('weekdays: the toggle row filters the days, at least one stays selected', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, weekdays: '1-5' });
+  const events = record(el);
+  const toggles = [...$('weekdays').querySelectorAll('button.weekday-toggle')];
+  assert.deepEqual(toggles.map(b => b.textContent), ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']); // en-GB: Monday first
+  assert.deepEqual(toggles.map(b => b.getAttribute('aria-pressed')), ['true', 'true', 'true', 'true', 'true', 'false', 'false']);
+
+  toggles[5].click();
+  assert.deepEqual(events.change.at(-1).weekdays, [1, 2, 3, 4, 5, 6]);
+  for (const b of toggles.slice(0, 5)) b.click();
+  assert.deepEqual(el.weekdays, [6]);
+  toggles[5].click(); // the last selected day stays
+  assert.deepEqual(el.weekdays, [6]);
+  assert.equal(events.change.length, 6);
+
+  el.weekdays = [6, 7];
+  assert.equal(el.getAttribute('weekdays'), '6,7');
+  assert.equal(toggles[6].getAttribute('aria-pressed'), 'true');
+  el.remove();
+});
+
+test('value, toRRule and fromRRule round-trip the selection', async () => {
+  const attrs = { ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-09', 'start-time': '22:00', 'end-time': '06:00', weekdays: '1-5' };
+  const { el } = await mountPicker(attrs);
+  assert.equal(el.value, 'R5/2026-01-05T22:00+01:00/2026-01-06T06:00+01:00');
+  assert.equal(String(el), el.value);
+  assert.equal(el.toRRule(), [
+    'DTSTART;TZID=Europe/Berlin:20260105T220000',
+    'DTEND;TZID=Europe/Berlin:20260106T060000',
+    'RRULE:FREQ=DAILY;UNTIL=20260109T210000Z;BYDAY=MO,TU,WE,TH,FR'
+  ].join('\r\n'));
+
+  const { el: other } = await mountPicker({ ...BOUNDS, 'default-tz': 'Asia/Tokyo' });
+  assert.equal(other.fromRRule(el.toRRule()), true);
+  assert.deepEqual([other.value, other.timeZone, other.weekdays.join()], [el.value, 'Europe/Berlin', '1,2,3,4,5']);
+  assert.equal(other.fromRRule('RRULE:FREQ=WEEKLY'), false);
+  assert.equal(other.value, el.value);
+
+  other.value = '2026-01-20T20:00Z/2026-01-21T04:00Z'; // UTC offsets convert into the current zone
+  assert.equal(other.value, '2026-01-20T21:00+01:00/2026-01-21T05:00+01:00');
+  el.remove();
+  other.remove();
+});
+
+test('getOccurrences: one interval per included day, each endpoint with its own offset', async () => {
+  const { el } = await mountPicker({
+    'min-date': '2026-03-26', 'max-date': '2026-03-31', 'default-tz': 'Europe/Berlin', locale: 'en-GB',
+    'start-date': '2026-03-27', 'end-date': '2026-03-30', 'start-time': '22:00', 'end-time': '06:00', weekdays: '1-6', occurrences: '2'
+  });
+  const events = record(el);
+  assert.deepEqual(el.getOccurrences().map(o => [o.date, o.start, o.end]), [
+    ['2026-03-27', '2026-03-27T22:00:00+01:00', '2026-03-28T06:00:00+01:00'],
+    ['2026-03-28', '2026-03-28T22:00:00+01:00', '2026-03-29T06:00:00+02:00'], // clocks go forward overnight
+    ['2026-03-30', '2026-03-30T22:00:00+02:00', '2026-03-31T06:00:00+02:00'] // Sunday is filtered out
+  ]);
+  assert.equal(el.getOccurrences({ limit: 1 }).length, 1);
+  el.timeZone = 'UTC';
+  assert.deepEqual(events.change.at(-1).occurrences.map(o => o.date), ['2026-03-27', '2026-03-28']); // occurrences="2"
+  el.remove();
+});
+
+test('date-zoom: the wheel zooms the date track around the pointer and ticks follow', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'min-date': '2020-01-01', 'max-date': '2029-12-31', 'date-zoom': '', 'start-date': '2026-03-02', 'end-date': '2026-03-08' });
+  const track = $('dateTrack');
+  pointerOn(track, 1000);
+  const labels = () => [...$('dateTickLabels').children].map(l => l.textContent);
+  assert.deepEqual(labels(), ['2020', '2022', '2024', '2026', '2028']);
+
+  const wheel = wheelAt(500, -1200);
+  track.dispatchEvent(wheel);
+  assert.ok(wheel.defaultPrevented);
+  assert.ok(labels().every(l => /^[A-Z][a-z]+ \d{4}$/.test(l)), labels().join()); // months
+  assert.ok($('dateThumbStart').classList.contains('out-of-view'));
+
+  // Moving the selection pans the viewport along; zooming in further shows days
+  el.dateRange = { start: new Date(2025, 0, 6), end: new Date(2025, 0, 12) };
+  for (let i = 0; i < 3; i++) track.dispatchEvent(new KeyboardEvent('keydown', { key: '+', cancelable: true }));
+  assert.ok(!$('dateThumbStart').classList.contains('out-of-view'));
+  assert.ok(labels().every(l => /^\d+ [A-Z][a-z]+$/.test(l)), labels().join());
+
+  track.dispatchEvent(new KeyboardEvent('keydown', { key: '0', cancelable: true }));
+  assert.deepEqual(labels(), ['2020', '2022', '2024', '2026', '2028']);
+  el.remove();
+});
+
+test('date-zoom: dragging the zoomed track moves by viewport days; without the attribute the wheel is ignored', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'min-date': '2020-01-01', 'max-date': '2029-12-31', 'start-date': '2026-03-02', 'end-date': '2026-03-08' });
+  const track = pointerOn($('dateTrack'), 1000);
+  const wheel = wheelAt(500, -1200);
+  $('dateTrack').dispatchEvent(wheel);
+  assert.ok(!wheel.defaultPrevented);
+
+  el.setAttribute('date-zoom', '');
+  for (let i = 0; i < 8; i++) $('dateTrack').dispatchEvent(new KeyboardEvent('keydown', { key: '+', cancelable: true }));
+  const span = +$('dateThumbStart').max - +$('dateThumbStart').min;
+  assert.ok(span < 30, String(span));
+  track.drag(100, 100 + 7 * 1000 / span); // one week
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-03-09', '2026-03-15']);
+  el.remove();
+});
+
+test('blackouts: shaded on the tracks, skipped by the thumbs and flagged in the detail', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-15', 'start-time': '08:00', 'end-time': '10:00' });
+  const events = record(el);
+  el.disabledDates = ['2026-01-10', { start: '2026-01-20', end: '2026-01-22' }];
+  el.disabledTimes = [{ startMinutes: 12 * 60, endMinutes: 13 * 60 }];
+  assert.equal($('dateBlackouts').children.length, 2);
+  assert.equal($('timeBlackouts').children.length, 1);
+  assert.equal(events.change.at(-1).includesBlackout, true);
+  assert.deepEqual(events.change.at(-1).blackoutDates, ['2026-01-10']);
+
+  $('dateEnd').value = '2026-01-21';
+  $('dateEnd').dispatchEvent(new Event('input'));
+  assert.equal($('dateEnd').value, '2026-01-23');
+
+  $('timeThumbEnd').value = String((12 * 60 + 30) * 60); // seconds of day
+  $('timeThumbEnd').dispatchEvent(new Event('input'));
+  assert.equal(el.timeRange.endMinutes, 13 * 60);
+  assert.deepEqual(events.input.at(-1).blackoutTimes, [{ timeStart: '12:00:00', timeEnd: '13:00:00', timeStartMinutes: 720, timeEndMinutes: 780 }]);
+  el.remove();
+});
+
+test("blackout-policy='stop': the range stops in front of a blackout", async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'blackout-policy': 'stop', 'start-date': '2026-01-02', 'end-date': '2026-01-05' });
+  const events = record(el);
+  el.disabledDates = ['2026-01-10'];
+  pointerOn($('dateTrack'), 300).drag(100, 250); // +15 days
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-06', '2026-01-09']);
+  assert.equal(events.change.at(-1).includesBlackout, false);
+
+  el.dateRange = { start: new Date(2026, 0, 1), end: new Date(2026, 0, 31) };
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-01', '2026-01-09']);
+  el.remove();
+});
+
+test('histograms: bars behind the tracks, a tooltip on hover and totals in the detail', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-06', 'start-time': '08:00', 'end-time': '10:00' });
+  const events = record(el);
+  assert.ok($('dateHistogram').hidden);
+  el.dateHistogram = Array.from({ length: 31 }, (_, i) => i + 1);
+  el.timeHistogram = Array(24).fill(10);
+  assert.equal(events.change.length, 0); // data, not a selection change
+  assert.equal($('dateHistogram').children.length, 31);
+  assert.equal($('timeHistogram').children.length, 24);
+  assert.equal($('dateHistogram').children[30].style.height, '100.00%');
+
+  const bar = $('dateHistogram').children[4];
+  bar.dispatchEvent(new PointerEvent('pointermove', { bubbles: true }));
+  assert.equal($('dateHistogramTip').hidden, false);
+  assert.equal($('dateHistogramTip').textContent, '5 January 2026: 5');
+  $('dateTrack').dispatchEvent(new PointerEvent('pointerleave'));
+  assert.ok($('dateHistogramTip').hidden);
+
+  el.setAttribute('end-time', '11:30');
+  const detail = events.change.at(-1);
+  assert.equal(detail.dateHistogramTotal, 5 + 6);
+  assert.equal(detail.timeHistogramTotal, 35);
+
+  el.dateHistogram = null;
+  assert.ok($('dateHistogram').hidden);
+  el.setAttribute('end-time', '12:00');
+  assert.ok(!('dateHistogramTotal' in events.change.at(-1)));
+  el.remove();
+});
+
+test('time-precision="second": typed seconds are kept', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'time-precision': 'second', 'start-time': '08:00', 'end-time': '09:00' });
+  const events = record(el);
+  assert.equal($('timeStart').step, '1');
+  $('timeStart').value = '08:00:30';
+  $('timeStart').dispatchEvent(new Event('input'));
+  assert.deepEqual(minutes(el), [8 * 60 + 0.5, 9 * 60]);
+  const detail = events.input.at(-1);
+  assert.equal(detail.timeStart, '08:00:30');
+  assert.equal(detail.rangeStartDateTimeISO, '2026-01-01T08:00:30+01:00');
+  assert.equal($('timeThumbStart').getAttribute('aria-valuetext'), '08:00:30');
+  el.remove();
+});
+
+test('time-end-bound="exclusive": a full-day window ends at 24:00, the next day at 00:00', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-05', 'start-time': '00:00', 'end-time': '24:00' });
+  assert.deepEqual(minutes(el), [0, 23 * 60 + 59]); // inclusive: the track ends at 23:59
+  const events = record(el);
+  el.setAttribute('time-end-bound', 'exclusive');
+  el.setAttribute('end-time', '00:00');
+  assert.deepEqual(minutes(el), [0, 24 * 60]);
+  const detail = events.change.at(-1);
+  assert.equal(detail.timeEnd, '24:00:00');
+  assert.equal(detail.crossesMidnight, false);
+  assert.equal(detail.rangeEndDateTimeISO, '2026-01-06T00:00:00+01:00');
+  assert.equal($('timeEnd').value, '00:00'); // native inputs have no 24:00
+  assert.equal(el.getAttribute('end-time'), '24:00');
+  assert.equal($('timeThumbEnd').getAttribute('aria-valuetext'), '24:00');
+  el.setAttribute('locale', 'en-US'); // 12-hour: the next midnight, not the start of the day
+  assert.equal($('timeThumbEnd').getAttribute('aria-valuetext'), '12:00 AM (+1)');
+  assert.equal($('timeTrack').getAttribute('aria-valuetext'), '12:00 AM to 12:00 AM (+1)');
+  el.remove();
+});
+
+test('display-tz: converted times, a day-shift hint, a second tick row and converted endpoints', async () => {
+  const { el, $ } = await mountPicker({
+    ...BOUNDS, 'display-tz': 'America/New_York', 'start-date': '2026-01-05', 'end-date': '2026-01-05', 'start-time': '08:00', 'end-time': '10:00'
+  });
+  const events = record(el);
+  assert.equal($('displayTzPreview').hidden, false);
+  assert.equal($('displayTzPreview').textContent, 'America/New_York: 02:00 to 04:00');
+  assert.ok(!$('displayTzPreview').classList.contains('day-shift'));
+  const labels = [...$('displayTzTickLabels').children];
+  assert.equal(labels[0].textContent, '18:00'); // Berlin's midnight
+  const midnight = labels.find(l => l.textContent === '00:00');
+  assert.equal(midnight.style.left, `${(6 * 3600 / (24 * 3600 - 60) * 100).toFixed(4)}%`); // New York's midnight is 06:00 in Berlin
+
+  el.setAttribute('start-time', '03:00');
+  assert.equal($('displayTzPreview').textContent, 'America/New_York: 21:00 (−1) to 04:00');
+  assert.ok($('displayTzPreview').classList.contains('day-shift'));
+  const detail = events.change.at(-1);
+  assert.equal(detail.displayTimeZone, 'America/New_York');
+  assert.equal(detail.displayStartDateTimeISO, '2026-01-04T21:00:00-05:00');
+  assert.equal(detail.displayEndDateTimeISO, '2026-01-05T04:00:00-05:00');
+
+  el.setAttribute('display-tz', 'Europe/Berlin'); // the selected zone: nothing to convert
+  assert.ok($('displayTzPreview').hidden && $('displayTzTickLabels').hidden);
+  el.setAttribute('display-tz', 'none');
+  assert.ok(!('displayTimeZone' in events.change.at(-1)));
+  el.remove();
+});
+
+test('keyboard: each step emits input, releasing the key commits one change', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-09', 'start-time': '08:00', 'end-time': '10:00' });
+  const events = record(el);
+  const press = (target, key, init = {}) => {
+    for (const type of ['keydown', 'keyup']) target.dispatchEvent(new KeyboardEvent(type, { key, cancelable: true, ...init }));
+  };
+  const thumb = $('dateThumbEnd');
+  for (let i = 0; i < 3; i++) thumb.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', cancelable: true, repeat: i > 0 }));
+  assert.deepEqual([events.input.length, events.change.length], [3, 0]);
+  thumb.dispatchEvent(new KeyboardEvent('keyup', { key: 'ArrowRight' }));
+  assert.deepEqual(events.change.map(d => d.dateEnd), ['2026-01-12']);
+
+  press($('timeTrack'), 'PageUp'); // the whole window, one hour
+  assert.deepEqual(minutes(el), [9 * 60, 11 * 60]);
+  press($('timeThumbStart'), 'Home');
+  assert.deepEqual(minutes(el), [0, 11 * 60]);
+  press($('dateThumbStart'), 'ArrowRight', { shiftKey: true }); // Shift moves the whole window
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-06', '2026-01-13']);
+  assert.equal(events.change.length, 4);
+
+  el.disabled = true;
+  el.formDisabledCallback(true);
+  press($('timeTrack'), 'PageUp');
+  assert.deepEqual([minutes(el), events.change.length], [[0, 11 * 60], 4]);
+  el.remove();
+});
+
+test('undo/redo: committed changes are restored, a new change drops the redo branch', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-09' });
+  const dates = () => [$('dateStart').value, $('dateEnd').value];
+  const history = [];
+  el.addEventListener('historychange', (e) => history.push(e.detail));
+  const events = record(el);
+  const key = (init) => $('dateTrack').dispatchEvent(new KeyboardEvent('keydown', { key: 'z', bubbles: true, composed: true, cancelable: true, ...init }));
+  assert.equal(el.canUndo, false);
+
+  const track = pointerOn($('dateTrack'), 300);
+  track.drag(150, 150); // recenter: 01-14 … 01-18
+  // Only the selection attributes the page set are reflected
+  assert.deepEqual([el.getAttribute('start-date'), el.getAttribute('end-date')], ['2026-01-14', '2026-01-18']);
+  assert.equal(el.hasAttribute('start-time') || el.hasAttribute('end-time'), false);
+  el.setAttribute('default-tz', 'Asia/Tokyo');
+  assert.deepEqual(history.at(-1), { canUndo: true, canRedo: false });
+
+  assert.equal(el.undo(), true);
+  assert.equal(events.change.at(-1).timeZone, 'Europe/Berlin');
+  assert.deepEqual(dates(), ['2026-01-14', '2026-01-18']);
+  key({ ctrlKey: true });
+  assert.deepEqual(dates(), ['2026-01-05', '2026-01-09']);
+  assert.deepEqual(history.at(-1), { canUndo: false, canRedo: true });
+  assert.equal(el.undo(), false);
+  // Native fields keep their own Ctrl+Z; the range thumbs do not
+  $('dateStart').dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, shiftKey: true, bubbles: true, composed: true }));
+  assert.equal(el.canRedo, true);
+
+  key({ metaKey: true, shiftKey: true, key: 'Z' });
+  assert.deepEqual(dates(), ['2026-01-14', '2026-01-18']);
+  assert.equal(el.canRedo, true);
+
+  track.drag(150, 160); // a new change after an undo
+  assert.deepEqual(dates(), ['2026-01-15', '2026-01-19']);
+  assert.deepEqual([el.canUndo, el.canRedo], [true, false]);
+  assert.equal(el.redo(), false);
+  el.remove();
+});
+
+test('presets: setting the list re-renders the buttons without a change', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-time': '08:00', 'end-time': '17:00' });
+  const events = record(el);
+  el.presets = [{ id: 'day', label: 'Day shift', time: '08:00-17:00' }, { id: 'night', label: 'Night shift', time: '22:00-06:00' }];
+  const buttons = [...$('presets').querySelectorAll('button.preset')];
+  assert.deepEqual(buttons.map(b => [b.textContent, b.getAttribute('aria-pressed')]), [['Day shift', 'true'], ['Night shift', 'false']]);
+  assert.equal(el.activePreset, 'day');
+  assert.equal(events.change.length, 0);
+
+  el.applyPreset('night');
+  assert.equal(events.change.at(-1).preset, 'night');
+  el.remove();
+});
+
+test('presets: disabled with the element, clicks are ignored', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-time': '08:00', 'end-time': '17:00' });
+  el.presets = [{ id: 'night', label: 'Night shift', time: '22:00-06:00' }];
+  const events = record(el);
+  el.disabled = true;
+  el.formDisabledCallback(true); // happy-dom does not call it
+  const button = $('presets').querySelector('button.preset');
+  assert.equal(button.disabled, true);
+  button.dispatchEvent(new Event('click', { bubbles: true }));
+  assert.deepEqual([minutes(el), events.change.length], [[8 * 60, 17 * 60], 0]);
+
+  el.disabled = false;
+  el.formDisabledCallback(false);
+  assert.equal(button.disabled, false);
+  button.dispatchEvent(new Event('click', { bubbles: true }));
+  assert.deepEqual(minutes(el), [22 * 60, 6 * 60]);
+  el.remove();
+});
+
+test('server-rendered markup: the zone falls back like the element\'s and is kept while hydrating', async () => {
+  const { renderShadowRootHTML } = await import('../src/date-and-daytime-range-picker.js');
+  const attrs = { 'min-date': '2026-01-01', 'max-date': '2026-01-31', locale: 'en-GB' };
+  const systemZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  assert.match(renderShadowRootHTML(attrs), new RegExp(`id="tzInput"[^>]*value="${systemZone}"`));
+
+  // Rendered on a server in another zone: the browser's zone does not replace it
+  const html = renderShadowRootHTML({ ...attrs, 'default-tz': 'Asia/Tokyo' });
+  const el = document.createElement('date-and-daytime-range-picker');
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value);
+  el.shadowRoot.innerHTML = html.replace(/^<template shadowrootmode="open">|<\/template>$/g, '');
+  document.body.append(el);
+  await el.ready;
+  assert.equal(el.shadowRoot.getElementById('tzInput').value, 'Asia/Tokyo');
+  assert.equal(el.timeZone, 'Asia/Tokyo');
+  el.remove();
+});
+
+test('undo/redo: consecutive key presses on one control are a single step', async () => {
+  const { el, $ } = await mountPicker({ ...BOUNDS, 'start-date': '2026-01-05', 'end-date': '2026-01-09' });
+  const dates = () => [$('dateStart').value, $('dateEnd').value];
+  const press = (target, key) => {
+    for (const type of ['keydown', 'keyup']) target.dispatchEvent(new KeyboardEvent(type, { key, cancelable: true }));
+  };
+  for (let i = 0; i < 3; i++) press($('dateThumbEnd'), 'ArrowRight');
+  assert.deepEqual(dates(), ['2026-01-05', '2026-01-12']);
+  press($('dateTrack'), 'ArrowRight'); // another control: a step of its own
+  $('dateTrack').dispatchEvent(new FocusEvent('blur'));
+  press($('dateTrack'), 'ArrowRight'); // after leaving it, too
+  assert.deepEqual(dates(), ['2026-01-07', '2026-01-14']);
+
+  el.undo();
+  assert.deepEqual(dates(), ['2026-01-06', '2026-01-13']);
+  el.undo();
+  assert.deepEqual(dates(), ['2026-01-05', '2026-01-12']);
+  el.undo();
+  assert.deepEqual(dates(), ['2026-01-05', '2026-01-09']);
+  assert.equal(el.canUndo, false);
+  el.remove();
+});
+
+test('persist="url": restored before the first render, written on change, followed on popstate', async () => {
+  history.replaceState(null, '', '/?tab=2&range=2026-01-10/2026-01-12/08:00-17:00/1,2,3,4,5/Asia/Tokyo');
+  const { el, $ } = await mountPicker({ ...BOUNDS, persist: 'url' });
+  const events = record(el);
+  assert.deepEqual([$('dateStart').value, $('dateEnd').value], ['2026-01-10', '2026-01-12']);
+  assert.deepEqual([el.timeRange.startMinutes, el.timeRange.endMinutes, el.weekdays.length], [8 * 60, 17 * 60, 5]);
+  assert.equal($('tzInput').value, 'Asia/Tokyo');
+
+  const entries = history.length;
+  el.setAttribute('default-tz', 'America/New_York');
+  assert.equal(location.search, '?tab=2&range=2026-01-10/2026-01-12/08:00-17:00/1,2,3,4,5/America/New_York');
+  assert.equal(history.length, entries + 1); // each commit is a history entry
+
+  // Following a history entry normalizes it in place
+  history.replaceState(null, '', '/?range=2026-01-20/2026-01-25/22:00:00-06:00/1,2,3,4,5,6,7/UTC');
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  assert.deepEqual([$('dateStart').value, events.change.at(-1).timeZone], ['2026-01-20', 'UTC']);
+  assert.equal(location.search, '?range=2026-01-20/2026-01-25/22:00-06:00/1,2,3,4,5,6,7/UTC');
+  assert.equal(history.length, entries + 1);
+
+  // Outside min-date/max-date or an unknown zone: ignored
+  for (const range of ['2025-12-20/2026-01-05/22:00-06:00//UTC', '2026-01-02/2026-01-05/22:00-06:00//Mars/Base']) {
+    history.replaceState(null, '', `/?range=${range}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    assert.equal($('dateStart').value, '2026-01-20');
+  }
+  el.remove();
+  history.replaceState(null, '', '/');
+});
+
+test('persist="local": restored from persist-key, written on change, synced by storage events', async () => {
+  localStorage.setItem('night', '2026-01-03/2026-01-04/21:30-23:00,01:00-02:00//Europe/Berlin');
+  const { el, $ } = await mountPicker({ ...BOUNDS, persist: 'local', 'persist-key': 'night', 'max-windows': '2' });
+  assert.deepEqual(el.timeRanges.map(r => [r.startMinutes, r.endMinutes]), [[60, 120], [21 * 60 + 30, 23 * 60]]);
+  assert.equal(el.weekdays.length, 7);
+
+  $('dateThumbEnd').value = '5'; // 2026-01-06
+  $('dateThumbEnd').dispatchEvent(new Event('input'));
+  $('dateThumbEnd').dispatchEvent(new Event('change'));
+  assert.equal(localStorage.getItem('night'), '2026-01-03/2026-01-06/01:00-02:00,21:30-23:00/1,2,3,4,5,6,7/Europe/Berlin');
+
+  localStorage.setItem('night', '2026-01-08/2026-01-09/10:00-11:00/6,7/Europe/Berlin'); // another tab
+  window.dispatchEvent(new StorageEvent('storage', { key: 'night', storageArea: localStorage }));
+  assert.deepEqual([$('dateStart').value, el.weekdays.join()], ['2026-01-08', '6,7']);
+  el.remove();
+  localStorage.removeItem('night');
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addTimeWindow, buildDateTicks, buildTimeTicks, chooseDateTickStep, chooseTimeTickStep, clampDates, clampTimes,
+  createState, dateHistogramBars, dateHistogramTotal, mergeTimeWindows, normalizeHistogram, panDateView, recenterDateAt,
+  recenterTimeAt, resetDateView, revealDays, shiftDateWindow, shiftTimeWindow, timeHistogramBars, timeHistogramTotal,
+  timeSpanSeconds, timeWindowCenter, toggleTimeWindowAt, zoomDateView
+} from '../src/range-core.js';
+
+const base = () => createState({ minDate: '2026-01-01', maxDate: '2026-01-31' }); // dateMax 30
+const dates = (s) => [s.dateStart, s.dateEnd];
+const times = (s) => [s.timeStart, s.timeEnd];
+const H = 3600, M = 60; // times of day are seconds
+
+test('createState: full date span, overnight window, fallback bounds', () => {
+  const s = base();
+  assert.deepEqual([s.dateMin, s.dateMax, ...dates(s), ...times(s)], [0, 30, 0, 30, 22 * H, 6 * H]);
+  const fallback = createState({ minDate: '2026-02-01', maxDate: '2026-01-01' });
+  assert.equal(fallback.dateMax, 30); // inverted bounds: last 30 days
+});
+
+test('clampDates: clamps to the bounds, orders, snaps to the step', () => {
+  assert.deepEqual(dates(clampDates({ ...base(), dateStart: -5, dateEnd: 40 })), [0, 30]);
+  assert.deepEqual(dates(clampDates({ ...base(), dateStart: 20, dateEnd: 10 })), [10, 20]);
+  assert.deepEqual(dates(clampDates({ ...base(), dateStepDays: 7, dateStart: 3, dateEnd: 11 })), [0, 14]);
+});
+
+test('clampDates: continuous same-day interval cannot wrap', () => {
+  const s = clampDates({ ...base(), dateStart: 5, dateEnd: 5 }, { continuous: true });
+  assert.deepEqual(times(s), [6 * H, 22 * H]);
+  assert.deepEqual(times(clampDates({ ...base(), dateStart: 5, dateEnd: 5 })), [22 * H, 6 * H]);
+});
+
+test('clampDates does not mutate its input', () => {
+  const s = { ...base(), dateStart: 20, dateEnd: 10 };
+  clampDates(s);
+  assert.deepEqual(dates(s), [20, 10]);
+});
+
+test('clampTimes: snaps to the step and caps extra windows', () => {
+  const s = clampTimes({ ...base(), timeStart: -20 * M, timeEnd: 1000 * M, extraWindows: [{ start: 61 * M, end: 89 * M }, { start: 0, end: 30 * M }] }, { maxWindows: 2 });
+  assert.deepEqual(times(s), [0, 1005 * M]);
+  assert.deepEqual(s.extraWindows, [{ start: 60 * M, end: 90 * M }]);
+});
+
+test('clampTimes: inclusive end stops at 23:59, exclusive end reaches 24:00', () => {
+  assert.deepEqual(times(clampTimes({ ...base(), timeStart: 0, timeEnd: 24 * H })), [0, 24 * H - M]);
+  const exclusive = { ...createState({ minDate: '2026-01-01', maxDate: '2026-01-31', timeMax: 24 * H }), timeStart: 0, timeEnd: 0 };
+  assert.deepEqual(times(clampTimes(exclusive)), [0, 24 * H]); // midnight ends the day
+  assert.deepEqual(times(clampTimes({ ...exclusive, timeStart: 24 * H, timeEnd: 6 * H })), [0, 6 * H]);
+  const fullDay = { ...exclusive, timeEnd: 24 * H };
+  assert.equal(shiftTimeWindow(fullDay, H), fullDay);
+  assert.deepEqual(times(shiftTimeWindow({ ...exclusive, timeStart: 22 * H, timeEnd: 23 * H }, H)), [23 * H, 24 * H]);
+  const seconds = { ...base(), timeStep: 1, timeMax: 24 * H - 1, timeStart: 8 * H + 30.4, timeEnd: 24 * H };
+  assert.deepEqual(times(clampTimes(seconds)), [8 * H + 30, 24 * H - 1]);
+});
+
+test('shiftDateWindow: keeps the width and stops at the bounds', () => {
+  const s = { ...base(), dateStart: 5, dateEnd: 10 };
+  assert.deepEqual(dates(shiftDateWindow(s, 3)), [8, 13]);
+  assert.deepEqual(dates(shiftDateWindow(s, 100)), [25, 30]);
+  assert.deepEqual(dates(shiftDateWindow(s, -100)), [0, 5]);
+  assert.deepEqual(dates(shiftDateWindow({ ...s, dateStepDays: 7, dateStart: 7, dateEnd: 14 }, 9)), [14, 21]);
+});
+
+test('shiftTimeWindow: circular across midnight', () => {
+  const s = base(); // 22:00–06:00
+  assert.deepEqual(times(shiftTimeWindow(s, 2 * H)), [0, 8 * H]);
+  assert.deepEqual(times(shiftTimeWindow(s, -23 * H)), [23 * H, 7 * H]);
+  assert.deepEqual(times(shiftTimeWindow(s, 8 * M)), [22 * H + 15 * M, 6 * H + 15 * M]); // snapped to the step
+  assert.deepEqual(times(shiftTimeWindow(s, 24 * H)), times(s));
+});
+
+test('shiftTimeWindow: continuous mode carries into the dates and stops at the bounds', () => {
+  const s = { ...base(), dateStart: 5, dateEnd: 6, timeStart: 23 * H, timeEnd: 1 * H };
+  const next = shiftTimeWindow(s, 2 * H, { continuous: true });
+  assert.deepEqual([...dates(next), ...times(next)], [6, 6, H, 3 * H]);
+  const atEnd = { ...s, dateStart: 29, dateEnd: 30, timeEnd: 23 * H };
+  assert.equal(shiftTimeWindow(atEnd, 2 * H, { continuous: true }), atEnd);
+});
+
+test('recenterDateAt / recenterTimeAt', () => {
+  const s = { ...base(), dateStart: 0, dateEnd: 4 };
+  assert.deepEqual(dates(recenterDateAt(s, 0.5)), [13, 17]);
+  assert.deepEqual(dates(recenterDateAt(s, 1)), [26, 30]);
+  assert.equal(timeWindowCenter(base()), 2 * H);
+  const t = recenterTimeAt(base(), 0.5);
+  assert.equal(Math.round(timeWindowCenter(t) / (15 * M)) * 15 * M, 12 * H);
+  assert.equal(timeSpanSeconds(t), 8 * H);
+});
+
+test('tick steps aim at the target count', () => {
+  assert.equal(chooseDateTickStep(7), 1);
+  assert.equal(chooseDateTickStep(30), 5);
+  assert.equal(chooseDateTickStep(90), 14);
+  assert.equal(chooseDateTickStep(365), 60);
+  assert.equal(chooseDateTickStep(3650), 730);
+  assert.equal(chooseTimeTickStep(8), 3 * H);
+  assert.equal(chooseTimeTickStep(24), H);
+  const ticks = buildTimeTicks({ locale: 'en-GB' });
+  assert.equal(ticks.length, 8);
+  assert.deepEqual(ticks.slice(0, 2).map(t => t.label), ['00:00', '03:00']);
+  const kolkata = buildTimeTicks({ locale: 'en-GB', shift: 5.5 * H }); // labels another zone's wall times
+  assert.deepEqual([kolkata[0].label, kolkata[0].pct], ['06:00', 0.5 * H / (24 * H - M)]);
+});
+
+test('date ticks adapt from years to months to days', () => {
+  const labels = (minDate, maxDate) => {
+    const s = createState({ minDate, maxDate });
+    return buildDateTicks({ minDate: s.minDate, totalDays: s.dateMax, locale: 'en-GB' }).map(t => t.label);
+  };
+  assert.deepEqual(labels('2020-01-01', '2029-12-31'), ['2020', '2022', '2024', '2026', '2028']);
+  assert.deepEqual(labels('2026-01-10', '2026-08-10'), ['Feb 2026', 'Mar 2026', 'Apr 2026', 'May 2026', 'Jun 2026', 'Jul 2026', 'Aug 2026']);
+  assert.deepEqual(labels('2026-01-01', '2026-01-07').slice(0, 2), ['1 Jan', '2 Jan']);
+});
+
+test('date viewport: zoom around a point, pan and reset within the bounds', () => {
+  const s = createState({ minDate: '2020-01-01', maxDate: '2029-12-31' }); // dateMax 3652
+  const view = (v) => [v.dateViewStart, v.dateViewEnd];
+  assert.deepEqual(view(s), [0, 3652]);
+  const zoomed = zoomDateView(s, 0.1, 0.25);
+  assert.deepEqual(view(zoomed), [822, 1187]); // day 913 stays a quarter in
+  assert.deepEqual(view(zoomDateView(zoomed, 0.001)), [1001, 1008]); // at least a week
+  assert.deepEqual(view(panDateView(zoomed, -1000)), [0, 365]);
+  assert.deepEqual(view(resetDateView(zoomed)), [0, 3652]);
+  assert.equal(zoomDateView(s, 2), s);
+  assert.equal(panDateView(s, 10), s);
+});
+
+test('revealDays pans just enough, later days win', () => {
+  const s = { ...base(), dateViewStart: 10, dateViewEnd: 17 };
+  const view = (v) => [v.dateViewStart, v.dateViewEnd];
+  assert.deepEqual(view(revealDays(s, [20])), [13, 20]);
+  assert.deepEqual(view(revealDays(s, [2, 25])), [18, 25]);
+  assert.equal(revealDays(s, [12]), s);
+  assert.deepEqual(dates(recenterDateAt({ ...s, dateStart: 0, dateEnd: 2 }, 0.5)), [13, 15]); // within the viewport
+});
+
+test('mergeTimeWindows: union of circular windows', () => {
+  assert.deepEqual(mergeTimeWindows([{ start: H, end: 2 * H }, { start: 1.5 * H, end: 3 * H }]), [{ start: H, end: 3 * H }]);
+  assert.deepEqual(mergeTimeWindows([{ start: 23 * H, end: H }, { start: 0, end: 2 * H }]), [{ start: 23 * H, end: 2 * H }]);
+  assert.deepEqual(mergeTimeWindows([{ start: 10 * H, end: 11 * H }, { start: H, end: 2 * H }]), [{ start: H, end: 2 * H }, { start: 10 * H, end: 11 * H }]);
+  assert.deepEqual(mergeTimeWindows([{ start: 0, end: 12 * H }, { start: 12 * H, end: 0 }]), [{ start: 0, end: 24 * H - M }]);
+  assert.deepEqual(mergeTimeWindows([{ start: 0, end: 12 * H }, { start: 12 * H, end: 0 }], 24 * H), [{ start: 0, end: 24 * H }]);
+});
+
+test('addTimeWindow / toggleTimeWindowAt respect maxWindows', () => {
+  const s = base();
+  assert.equal(addTimeWindow(s), s);
+  const added = addTimeWindow(s, { maxWindows: 2 });
+  assert.deepEqual(added.extraWindows, [{ start: 13.5 * H, end: 14.5 * H }]); // centered in the 06:00–22:00 gap
+  const removed = toggleTimeWindowAt(added, 14 * H / s.timeMax, { maxWindows: 2 });
+  assert.deepEqual(removed.extraWindows, []);
+});
+
+test('histograms: bars follow the viewport and the steps, totals follow the selection', () => {
+  const days = normalizeHistogram(Array.from({ length: 31 }, (_, i) => i));
+  assert.equal(dateHistogramBars(base(), days).length, 31);
+  assert.deepEqual(dateHistogramBars({ ...base(), dateStepDays: 7 }, days).slice(0, 2), [{ start: 0, end: 6, value: 21 }, { start: 7, end: 13, value: 70 }]);
+  assert.deepEqual(dateHistogramBars({ ...base(), dateViewStart: 10, dateViewEnd: 17 }, days).map(b => b.start), [10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.equal(dateHistogramBars(base(), days, 10).length, 8); // 4 days each
+  assert.equal(dateHistogramTotal({ ...base(), dateStart: 0, dateEnd: 6 }, days, [1, 2, 3, 4, 5]), 16); // Thu 1 Jan … Wed 7 Jan
+
+  const hourly = Array(24).fill(60);
+  assert.equal(timeHistogramBars(base(), hourly).length, 24);
+  assert.deepEqual(timeHistogramBars({ ...base(), timeStep: 90 * M }, hourly)[1], { start: 2 * H, end: 4 * H, value: 120 });
+  assert.equal(timeHistogramBars(base(), Array(1440).fill(1)).length, 96); // merged to the 15-minute step
+  assert.equal(timeHistogramTotal(hourly, [{ start: 22 * H, end: 6 * H }]), 480);
+  assert.equal(timeHistogramTotal(hourly, [{ start: 90 * M, end: 120 * M }, { start: 100 * M, end: 150 * M }]), 60); // overlaps count once
+  assert.equal(timeHistogramTotal(hourly, [{ start: 0, end: 24 * H }]), 1440);
+  assert.deepEqual(normalizeHistogram([1, '2', -3, NaN, null]), [1, 2, 0, 0, 0]);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatEpochISO, formatOffset, isValidTimeZone, offsetMinutes, parseOffsetQuery, resolveLocal, searchTimeZones, toISOWithOffset, zoneCity, zoneRegion
+} from '../src/range-core.js';
+
+const MODES = ['compatible', 'earlier', 'later', 'reject'];
+// [zone, wall time, expected per mode]; `null` = rejected
+const CASES = [
+  // Spring-forward gaps: the wall time does not exist
+  ['Europe/Berlin', '2026-03-29T02:30', ['2026-03-29T03:30:00+02:00', '2026-03-29T01:30:00+01:00', '2026-03-29T03:30:00+02:00', null]],
+  ['America/New_York', '2026-03-08T02:30', ['2026-03-08T03:30:00-04:00', '2026-03-08T01:30:00-05:00', '2026-03-08T03:30:00-04:00', null]],
+  ['Australia/Sydney', '2026-10-04T02:30', ['2026-10-04T03:30:00+11:00', '2026-10-04T01:30:00+10:00', '2026-10-04T03:30:00+11:00', null]],
+  ['Australia/Lord_Howe', '2026-10-04T02:15', ['2026-10-04T02:45:00+11:00', '2026-10-04T01:45:00+10:30', '2026-10-04T02:45:00+11:00', null]], // 30-minute shift
+  // Fall-back overlaps: the wall time occurs twice
+  ['Europe/Berlin', '2026-10-25T02:30', ['2026-10-25T02:30:00+02:00', '2026-10-25T02:30:00+02:00', '2026-10-25T02:30:00+01:00', null]],
+  ['America/New_York', '2026-11-01T01:30', ['2026-11-01T01:30:00-04:00', '2026-11-01T01:30:00-04:00', '2026-11-01T01:30:00-05:00', null]],
+  ['Australia/Sydney', '2026-04-05T02:30', ['2026-04-05T02:30:00+11:00', '2026-04-05T02:30:00+11:00', '2026-04-05T02:30:00+10:00', null]],
+  // No transition
+  ['Asia/Kolkata', '2026-03-29T02:30', Array(4).fill('2026-03-29T02:30:00+05:30')],
+  ['UTC', '2026-10-25T02:30', Array(4).fill('2026-10-25T02:30:00+00:00')]
+];
+
+for (const [tz, wall, expected] of CASES) {
+  test(`toISOWithOffset ${tz} ${wall}`, () => {
+    const [y, M, d, h, m] = wall.split(/[-T:]/).map(Number);
+    assert.deepEqual(MODES.map(mode => toISOWithOffset(tz, y, M, d, h, m, 0, mode)), expected);
+  });
+}
+
+test('resolveLocal flags gaps and overlaps', () => {
+  assert.deepEqual(pick(resolveLocal('Europe/Berlin', 2026, 3, 29, 2, 30, 0)), { dstAdjusted: true, ambiguous: false, rejected: false });
+  assert.deepEqual(pick(resolveLocal('Europe/Berlin', 2026, 10, 25, 2, 30, 0)), { dstAdjusted: false, ambiguous: true, rejected: false });
+  assert.deepEqual(pick(resolveLocal('Europe/Berlin', 2026, 10, 25, 2, 30, 0, 'reject')), { dstAdjusted: false, ambiguous: true, rejected: true });
+  assert.deepEqual(pick(resolveLocal('Europe/Berlin', 2026, 7, 1, 12, 0, 0)), { dstAdjusted: false, ambiguous: false, rejected: false });
+  function pick({ dstAdjusted, ambiguous, rejected }) { return { dstAdjusted, ambiguous, rejected }; }
+});
+
+test('offsetMinutes and formatEpochISO', () => {
+  const epoch = Date.UTC(2026, 0, 15, 12);
+  assert.equal(offsetMinutes('America/St_Johns', epoch), -210);
+  assert.equal(offsetMinutes('Asia/Kathmandu', epoch), 345);
+  assert.equal(formatEpochISO('Asia/Kathmandu', epoch), '2026-01-15T17:45:00+05:45');
+});
+
+test('isValidTimeZone', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('searchTimeZones by city, abbreviation and offset', () => {
+  const epoch = Date.UTC(2026, 0, 15, 12);
+  const search = (q) => searchTimeZones(q, { epoch });
+  assert.equal(search('berlin')[0], 'Europe/Berlin');
+  assert.equal(search('york')[0], 'America/New_York');
+  assert.equal(search('São Paulo')[0], 'America/Sao_Paulo');
+  assert.ok(search('CET').includes('Europe/Paris'));
+  assert.deepEqual(search('PST').slice(0, 1), ['America/Los_Angeles']);
+  // The runtime's list may hold legacy IDs (Asia/Katmandu); offsets are checked on a fixed one
+  const zones = ['Asia/Kathmandu', 'Asia/Kolkata', 'Asia/Karachi', 'Europe/Berlin'];
+  assert.deepEqual(searchTimeZones('+05:45', { zones, epoch }), ['Asia/Kathmandu']);
+  assert.deepEqual(searchTimeZones('UTC+5', { zones, epoch }), ['Asia/Kathmandu', 'Asia/Kolkata', 'Asia/Karachi']);
+  assert.deepEqual(searchTimeZones('kat', { zones, epoch }), ['Asia/Kathmandu', 'Asia/Kolkata']); // city prefix first
+  assert.deepEqual(search('Nowhere'), []);
+  assert.equal(search('').length, searchTimeZones('').length);
+});
+
+test('parseOffsetQuery, formatOffset, zoneRegion and zoneCity', () => {
+  assert.deepEqual(parseOffsetQuery('UTC'), [0, 0]);
+  assert.deepEqual(parseOffsetQuery('gmt-3:30'), [-210, -210]);
+  assert.deepEqual(parseOffsetQuery('−0800'), [-480, -480]);
+  assert.deepEqual(parseOffsetQuery('+5'), [300, 359]);
+  assert.deepEqual(parseOffsetQuery('-5'), [-359, -300]);
+  assert.equal(parseOffsetQuery('Berlin'), null);
+  assert.equal(formatOffset(-210), '-03:30');
+  assert.equal(formatOffset(345), '+05:45');
+  assert.equal(zoneRegion('America/Argentina/Buenos_Aires'), 'America');
+  assert.equal(zoneCity('America/Argentina/Buenos_Aires'), 'Buenos Aires');
+  assert.equal(zoneRegion('UTC'), '');
+  assert.equal(zoneRegion('Etc/GMT+5'), '');
+});